@@ -3,63 +3,897 @@
  * Handles API calls, message passing, and orchestration
  */
 
-import { extractPageId } from '../lib/page-parser.js';
-import { createNotionClient } from '../lib/notion-api.js';
-import { convertToToon } from '../lib/toon-converter.js';
+import { extractPageId, extractBlockId, detectObjectType } from '../lib/page-parser.js';
+import { createNotionClient, createRateLimiter, NotionApiError, richTextToPlain } from '../lib/notion-api.js';
+import { convertToToon, convertDatabaseToToon, combineToonDocuments, convertChangesToToon } from '../lib/toon-converter.js';
+import { convertToMarkdown, convertDatabaseToMarkdown, combineMarkdownDocuments } from '../lib/markdown-converter.js';
+import { convertToJson, convertDatabaseToJson, combineJsonDocuments } from '../lib/page-model.js';
+import { createMentionResolver } from '../lib/mention-resolver.js';
+import { loadChildDatabases } from '../lib/database-loader.js';
+import { createSubpageLoader } from '../lib/subpage-loader.js';
+import { loadComments } from '../lib/comment-loader.js';
+import { estimateTokens, compareWithJson } from '../lib/token-estimator.js';
+import { fitToTokenBudget, fitRowsToTokenBudget } from '../lib/token-budget.js';
+import { splitIntoChunks } from '../lib/chunker.js';
+import { selectBlocks, getHeadingLevel, collectFiles } from '../lib/block-utils.js';
+import { FILE_EXTENSIONS, buildFileName, createBundle } from '../lib/downloads.js';
+import { createHistoryStore } from '../lib/history-store.js';
+import { createSnapshot, diffSnapshots, hasChanges } from '../lib/page-diff.js';
+import { normalizeIntegration, orderIntegrations, isValidToken, maskToken, TOKEN_PREFIXES } from '../lib/integrations.js';
+import { createVault, sealVault, openVault, unlockVault, exportKey, importKey } from '../lib/token-vault.js';
+import { buildAuthorizeUrl, readAuthorizationCode, exchangeCode } from '../lib/notion-oauth.js';
+import { DEFAULT_PROFILES, DEFAULT_PROFILE_ID, normalizeProfile, applyProfile, applyProfileToDatabase, getProfileOptions } from '../lib/profiles.js';
 
-// Storage keys
+// Storage keys (the single API key predates integrations, and is migrated from)
 const STORAGE_KEY_API = 'notion_api_key';
+const STORAGE_KEY_INTEGRATIONS = 'notion_integrations';
+const STORAGE_KEY_VAULT = 'notion_token_vault';
+const STORAGE_KEY_SETTINGS = 'extraction_settings';
+const STORAGE_KEY_PROFILES = 'extraction_profiles';
+
+// Session storage key of the vault key, cleared when the browser closes
+const SESSION_KEY_VAULT = 'token_vault_key';
+
+// Shortest passphrase accepted for encrypting tokens
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const LOCKED_MESSAGE = 'Your API keys are encrypted. Unlock them with your passphrase in the extension popup or options.';
+
+// Default extraction settings
+const DEFAULT_SETTINGS = {
+  richTextStyle: 'markdown',
+  resolveMentions: true,
+  databaseRowLimit: 100,
+  childPageDepth: 0,
+  maxChildPages: 25,
+  followPageLinks: false,
+  tokenizer: 'cl100k',
+  maxTokens: 0,
+  chunkTokens: 0,
+  maxAttempts: 4,
+  historyLimit: 50,
+  includeComments: false,
+  blockComments: false,
+  oauthClientId: '',
+  oauthTokenEndpoint: ''
+};
+
+// Offscreen document that writes to the clipboard and creates blob URLs for
+// downloads (service workers have no DOM and no URL.createObjectURL)
+const OFFSCREEN_DOCUMENT = 'offscreen/offscreen.html';
+
+// Notion links and pages the context menu is offered on
+const NOTION_URL_PATTERNS = ['https://*.notion.so/*', 'https://*.notion.site/*'];
+
+// Context menu entries: on Notion links (anywhere) and on Notion pages
+const CONTEXT_MENUS = [
+  { id: 'copy-link-toon', title: 'Copy as TOON', format: 'toon', context: 'link' },
+  { id: 'copy-link-markdown', title: 'Copy as Markdown', format: 'markdown', context: 'link' },
+  { id: 'copy-page-toon', title: 'Copy as TOON', format: 'toon', context: 'page' },
+  { id: 'copy-page-markdown', title: 'Copy as Markdown', format: 'markdown', context: 'page' }
+];
+
+// Keyboard shortcuts (see "commands" in manifest.json) and the format they copy
+const COMMAND_FORMATS = {
+  'copy-toon': 'toon',
+  'copy-markdown': 'markdown'
+};
+
+// Action badge shown while a shortcut extraction runs and when it ends
+const BADGES = {
+  working: { text: '…', color: '#6b6b6b' },
+  success: { text: '✓', color: '#1a7f37' },
+  error: { text: '!', color: '#cf222e' }
+};
+
+// How long the result badge stays on the icon
+const BADGE_CLEAR_DELAY_MS = 4000;
+
+// Notion's rate limit is per integration: one request budget per token,
+// shared by every extraction running with it
+const rateLimiters = new Map();
+
+// Past extractions, kept across popup sessions
+const historyStore = createHistoryStore();
+
+// Output formats available for extraction, per object type (batch combines documents)
+const CONVERTERS = {
+  toon: { page: convertToToon, database: convertDatabaseToToon, batch: combineToonDocuments },
+  markdown: { page: convertToMarkdown, database: convertDatabaseToMarkdown, batch: combineMarkdownDocuments },
+  json: { page: convertToJson, database: convertDatabaseToJson, batch: combineJsonDocuments }
+};
 
 /**
- * Get API key from storage
+ * Read stored integrations as they are, without tokens when they are encrypted
  */
-async function getApiKey() {
-  const result = await chrome.storage.local.get(STORAGE_KEY_API);
-  return result[STORAGE_KEY_API] || null;
+async function readIntegrations() {
+  const result = await chrome.storage.local.get([STORAGE_KEY_INTEGRATIONS, STORAGE_KEY_API]);
+  if (result[STORAGE_KEY_INTEGRATIONS]) {
+    return result[STORAGE_KEY_INTEGRATIONS];
+  }
+
+  // The single API key of older versions
+  const apiKey = result[STORAGE_KEY_API];
+  return apiKey ? [{ id: 'default', name: 'Default', token: apiKey }] : [];
+}
+
+/**
+ * Get integrations from storage, with their tokens (decrypted when a passphrase is set)
+ */
+async function getIntegrations() {
+  const stored = await readIntegrations();
+  const vault = await getVault();
+  const tokens = vault ? await openVault(vault.envelope, vault.key) : {};
+  return stored.map(integration => normalizeIntegration({ ...integration, token: tokens[integration.id] || integration.token }));
 }
 
 /**
- * Save API key to storage
+ * Describe integrations for extension pages: never their tokens, only a masked preview
+ * @returns {Promise<Object>} - { integrations: [{ id, name, workspace, source, configured, preview }], encrypted, locked }
  */
-async function saveApiKey(apiKey) {
-  await chrome.storage.local.set({ [STORAGE_KEY_API]: apiKey });
+async function describeIntegrations() {
+  const { [STORAGE_KEY_VAULT]: envelope } = await chrome.storage.local.get(STORAGE_KEY_VAULT);
+  const integrations = (await readIntegrations()).map(describeIntegration);
+  return { integrations, encrypted: Boolean(envelope), locked: Boolean(envelope) && !(await getSessionKey()) };
 }
 
 /**
- * Extract page data and convert to TOON
+ * Describe one integration without its token
  */
-async function extractPageToToon(url) {
-  // Get API key
-  const apiKey = await getApiKey();
-  if (!apiKey) {
+function describeIntegration(integration) {
+  const { token, ...described } = normalizeIntegration(integration);
+  const preview = integration.preview || maskToken(token);
+  return { ...described, configured: Boolean(preview), preview };
+}
+
+/**
+ * Save integrations to storage (integrations without a token are dropped)
+ * @param {Array<Object>} integrations - Integrations; an empty token keeps the stored one
+ */
+async function saveIntegrations(integrations) {
+  const tokens = new Map((await getIntegrations()).map(integration => [integration.id, integration.token]));
+  const normalized = integrations
+    .map(integration => normalizeIntegration({ ...integration, token: integration.token || tokens.get(integration.id) }))
+    .filter(integration => integration.token);
+
+  const invalid = normalized.find(integration => !isValidToken(integration.token));
+  if (invalid) {
+    const prefixes = TOKEN_PREFIXES.map(prefix => `"${prefix}"`).join(' or ');
+    throw new Error(`The API key of "${invalid.name}" should start with ${prefixes}`);
+  }
+
+  await writeIntegrations(normalized, await getVault());
+}
+
+/**
+ * Write integrations, with their tokens sealed in the vault when there is one
+ * @param {Array<Object>} integrations - Integrations with tokens
+ * @param {Object} vault - { envelope, key }, or null to store tokens in plain text
+ */
+async function writeIntegrations(integrations, vault) {
+  const entries = integrations.map(integration => ({ ...integration, preview: maskToken(integration.token) }));
+
+  if (!vault) {
+    await chrome.storage.local.set({ [STORAGE_KEY_INTEGRATIONS]: entries });
+    await chrome.storage.local.remove([STORAGE_KEY_API, STORAGE_KEY_VAULT]);
+    return;
+  }
+
+  const tokens = Object.fromEntries(entries.map(entry => [entry.id, entry.token]));
+  await chrome.storage.local.set({
+    [STORAGE_KEY_INTEGRATIONS]: entries.map(({ token, ...entry }) => entry),
+    [STORAGE_KEY_VAULT]: await sealVault(vault.envelope, vault.key, tokens)
+  });
+  await chrome.storage.local.remove(STORAGE_KEY_API);
+}
+
+/**
+ * Get the token vault with its key, or null when tokens aren't encrypted
+ */
+async function getVault() {
+  const { [STORAGE_KEY_VAULT]: envelope } = await chrome.storage.local.get(STORAGE_KEY_VAULT);
+  if (!envelope) return null;
+
+  const key = await getSessionKey();
+  if (!key) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+  return { envelope, key };
+}
+
+/**
+ * Get the vault key kept for this browser session
+ */
+async function getSessionKey() {
+  const { [SESSION_KEY_VAULT]: raw } = await chrome.storage.session.get(SESSION_KEY_VAULT);
+  return raw ? importKey(raw) : null;
+}
+
+/**
+ * Encrypt the tokens with a new passphrase (also used to change it)
+ */
+async function setPassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase should have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const integrations = await getIntegrations();
+  const vault = await createVault(passphrase);
+  await writeIntegrations(integrations, vault);
+  await chrome.storage.session.set({ [SESSION_KEY_VAULT]: await exportKey(vault.key) });
+}
+
+/**
+ * Decrypt the tokens and store them in plain text again
+ */
+async function removePassphrase() {
+  await writeIntegrations(await getIntegrations(), null);
+  await chrome.storage.session.remove(SESSION_KEY_VAULT);
+}
+
+/**
+ * Unlock the tokens for this browser session
+ */
+async function unlockTokens(passphrase) {
+  const { [STORAGE_KEY_VAULT]: envelope } = await chrome.storage.local.get(STORAGE_KEY_VAULT);
+  if (!envelope) {
+    throw new Error('Your API keys are not encrypted');
+  }
+
+  const key = await unlockVault(envelope, passphrase || '');
+  await chrome.storage.session.set({ [SESSION_KEY_VAULT]: await exportKey(key) });
+}
+
+/**
+ * Forget the vault key until the passphrase is entered again
+ */
+async function lockTokens() {
+  await chrome.storage.session.remove(SESSION_KEY_VAULT);
+}
+
+/**
+ * Sign in to a workspace with OAuth and keep its access token as an integration
+ * @returns {Promise<Object>} - The integration signed in to (see describeIntegration)
+ */
+async function signInWithNotion() {
+  const { oauthClientId, oauthTokenEndpoint } = await getSettings();
+  if (!oauthClientId || !oauthTokenEndpoint) {
+    throw new Error('Set the OAuth client ID and token exchange endpoint first.');
+  }
+
+  const redirectUri = chrome.identity.getRedirectURL();
+  const state = crypto.randomUUID();
+  const responseUrl = await chrome.identity.launchWebAuthFlow({
+    url: buildAuthorizeUrl(oauthClientId, redirectUri, state),
+    interactive: true
+  });
+
+  const code = readAuthorizationCode(responseUrl, state);
+  const grant = await exchangeCode(oauthTokenEndpoint, code, redirectUri);
+
+  // Signing in to the same workspace again refreshes its token, keeping name and URL
+  const integrations = await getIntegrations();
+  const existing = grant.workspaceId && integrations.find(i => i.workspaceId === grant.workspaceId);
+  const integration = normalizeIntegration({
+    ...existing,
+    id: existing?.id || crypto.randomUUID(),
+    name: existing?.name || grant.workspaceName || 'Notion workspace',
+    token: grant.accessToken,
+    source: 'oauth',
+    workspaceId: grant.workspaceId
+  });
+
+  await saveIntegrations(existing
+    ? integrations.map(i => (i.id === existing.id ? integration : i))
+    : [...integrations, integration]);
+  return describeIntegration(integration);
+}
+
+/**
+ * Get extraction settings from storage, merged with defaults
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_SETTINGS);
+  return { ...DEFAULT_SETTINGS, ...result[STORAGE_KEY_SETTINGS] };
+}
+
+/**
+ * Save extraction settings to storage
+ */
+async function saveSettings(settings) {
+  const current = await getSettings();
+  await chrome.storage.local.set({ [STORAGE_KEY_SETTINGS]: { ...current, ...settings } });
+}
+
+/**
+ * Get extraction profiles from storage, with the active profile ID
+ */
+async function getProfiles() {
+  const result = await chrome.storage.local.get(STORAGE_KEY_PROFILES);
+  const stored = result[STORAGE_KEY_PROFILES] || {};
+  const profiles = (stored.profiles || DEFAULT_PROFILES).map(normalizeProfile);
+  const activeProfileId = profiles.some(p => p.id === stored.activeProfileId)
+    ? stored.activeProfileId
+    : DEFAULT_PROFILE_ID;
+  return { profiles, activeProfileId };
+}
+
+/**
+ * Save extraction profiles to storage (the default profile can't be removed)
+ */
+async function saveProfiles(profiles) {
+  const normalized = profiles.map(normalizeProfile);
+  if (!normalized.some(p => p.id === DEFAULT_PROFILE_ID)) {
+    normalized.unshift(DEFAULT_PROFILES[0]);
+  }
+  const { activeProfileId } = await getProfiles();
+  await chrome.storage.local.set({ [STORAGE_KEY_PROFILES]: { profiles: normalized, activeProfileId } });
+}
+
+/**
+ * Remember the profile picked in the popup
+ */
+async function setActiveProfile(profileId) {
+  const { profiles } = await getProfiles();
+  if (!profiles.some(p => p.id === profileId)) {
+    throw new Error(`Unknown profile: ${profileId}`);
+  }
+  await chrome.storage.local.set({ [STORAGE_KEY_PROFILES]: { profiles, activeProfileId: profileId } });
+}
+
+/**
+ * Get a profile by ID, falling back to the active one
+ */
+async function getProfile(profileId) {
+  const { profiles, activeProfileId } = await getProfiles();
+  return profiles.find(p => p.id === (profileId || activeProfileId)) ||
+    profiles.find(p => p.id === activeProfileId);
+}
+
+/**
+ * Get the rate limiter of a token, created on first use
+ */
+function getRateLimiter(token) {
+  if (!rateLimiters.has(token)) {
+    rateLimiters.set(token, createRateLimiter());
+  }
+  return rateLimiters.get(token);
+}
+
+/**
+ * Create API clients for the stored integrations, created as they are first needed
+ * @param {Object} settings - Extraction settings
+ * @param {string} integrationId - Integration picked in the popup (null = by workspace)
+ * @returns {Promise<Object>} - { run, getStats }
+ */
+async function createClients(settings, integrationId = null) {
+  const integrations = await getIntegrations();
+  if (integrations.length === 0) {
     throw new Error('API key not configured. Please set your Notion API key in the extension options.');
   }
 
-  // Extract page ID from URL
+  const clients = new Map();
+  const startedAt = Date.now();
+
+  const getClient = integration => {
+    if (!clients.has(integration.id)) {
+      clients.set(integration.id, createNotionClient(integration.token, {
+        maxAttempts: settings.maxAttempts,
+        rateLimiter: getRateLimiter(integration.token)
+      }));
+    }
+    return clients.get(integration.id);
+  };
+
+  return {
+    /**
+     * Run work with the integrations of a URL's workspace first, moving on to
+     * the next one while Notion says the object isn't shared with it
+     * @param {string} url - Notion URL or page ID
+     * @param {Function} work - (client) => Promise
+     * @returns {Promise<Object>} - { result, integration } with the integration's name
+     */
+    async run(url, work) {
+      let notFound = null;
+      for (const integration of orderIntegrations(integrations, url, integrationId)) {
+        try {
+          const result = await work(getClient(integration));
+          return { result, integration: integrations.length > 1 ? integration.name : null };
+        } catch (error) {
+          if (!isNotShared(error)) throw error;
+          notFound = notFound || error;
+        }
+      }
+      throw notFound;
+    },
+
+    /**
+     * Requests made by every integration, and the time since the first
+     * @returns {Object} - { requests, elapsedMs }
+     */
+    getStats() {
+      const requests = [...clients.values()].reduce((sum, client) => sum + client.getStats().requests, 0);
+      return { requests, elapsedMs: Date.now() - startedAt };
+    }
+  };
+}
+
+/**
+ * Extract a page ID from a URL, with an error the user can act on
+ */
+function requirePageId(url) {
   const pageId = extractPageId(url);
   if (!pageId) {
     throw new Error('Could not extract page ID from URL. Make sure you are on a valid Notion page.');
   }
+  return pageId;
+}
+
+/**
+ * Extract page (or full-page database) data and convert to TOON or another output format
+ * @param {string} url - Notion URL (a #block anchor selects that block or heading section)
+ * @param {string} format - Key of CONVERTERS
+ * @param {string} profileId - Extraction profile (default: the active one)
+ * @param {string} blockId - Block or heading to extract instead of the whole page
+ */
+async function extractPageToToon(url, format = 'toon', profileId = null, blockId = null, integrationId = null) {
+  const context = await createExtractionContext(format, profileId);
+  const clients = await createClients(context.settings, integrationId);
+  const pageId = requirePageId(url);
 
-  // Create API client
-  const client = createNotionClient(apiKey);
+  const { result: { snapshot, ...result }, integration } = await clients.run(url, client =>
+    extractObject(client, url, pageId, { ...context, blockId: blockId || extractBlockId(url) })
+  );
 
-  // Fetch page data and blocks in parallel
-  const [page, blocks] = await Promise.all([
-    client.getPage(pageId),
-    client.getAllBlocks(pageId)
-  ]);
+  const extraction = { ...result, integration, stats: clients.getStats() };
+
+  // Compare before recording, or the page would be compared with itself
+  const changes = snapshot ? await compareWithLastExtraction(extraction, snapshot) : null;
+  const historyId = await recordExtraction(extraction, context.settings, snapshot);
+
+  return { ...extraction, changes, historyId };
+}
+
+/**
+ * Extract several pages into one document, with a report of what failed
+ * @param {Array<string>} inputs - Notion URLs or page IDs
+ * @param {string} format - Key of CONVERTERS
+ * @param {string} profileId - Extraction profile (default: the active one)
+ * @param {string} integrationId - Integration tried first (default: by workspace)
+ * @returns {Promise<Object>} - { format, title, output, report, tokens, stats }
+ */
+async function extractBatch(inputs, format = 'toon', profileId = null, integrationId = null) {
+  const base = await createExtractionContext(format, profileId);
+
+  // Pages are combined into one document, so they are never chunked
+  const context = { ...base, settings: { ...base.settings, chunkTokens: 0 } };
+
+  // One client per integration for the whole batch: pages share its rate limit and stats
+  const clients = await createClients(context.settings, integrationId);
+
+  const results = [];
+  const report = [];
+  const seen = new Set();
+
+  // Sequentially, so a large batch doesn't crowd out the request budget
+  for (const input of inputs) {
+    const pageId = extractPageId(input);
+    if (!pageId) {
+      report.push({ input, success: false, error: 'Not a Notion URL or page ID' });
+      continue;
+    }
+    if (seen.has(pageId)) continue;
+    seen.add(pageId);
+
+    try {
+      const { result, integration } = await clients.run(input, client =>
+        extractObject(client, input, pageId, { ...context, blockId: extractBlockId(input) })
+      );
+      results.push(result);
+      report.push({ input, pageId, success: true, title: result.title, integration });
+    } catch (error) {
+      console.warn(`Batch extraction failed for ${input}:`, error.message);
+      report.push({ input, pageId, success: false, error: describeBatchError(error) });
+    }
+  }
+
+  if (results.length === 0) {
+    throw new Error('None of the pages could be extracted. Check that they are shared with the integration.');
+  }
+
+  const output = context.converters.batch(results.map(result => result.output));
+  const jsonTokens = results.reduce((sum, result) => sum + result.tokens.jsonTokens, 0);
+  const tokens = estimateTokens(output, context.settings.tokenizer);
+  const failed = report.filter(entry => !entry.success).length;
 
-  // Convert to TOON format
-  const toon = convertToToon(page, blocks);
+  const extraction = {
+    pageId: null,
+    format,
+    profileId: context.profile.id,
+    objectType: 'batch',
+    title: `${results.length} page${results.length === 1 ? '' : 's'}${failed > 0 ? ` · ${failed} failed` : ''}`,
+    output,
+    chunks: null,
+    files: results.flatMap(result => result.files),
+    report,
+    tokens: {
+      tokenizer: context.settings.tokenizer,
+      tokens,
+      jsonTokens,
+      savings: jsonTokens > 0 ? Math.round((1 - tokens / jsonTokens) * 100) : 0,
+      maxTokens: context.settings.maxTokens,
+      elided: [...new Set(results.flatMap(result => result.tokens.elided))]
+    },
+    stats: clients.getStats()
+  };
+  return { ...extraction, historyId: await recordExtraction(extraction, context.settings) };
+}
+
+/**
+ * Keep an extraction in the history (a limit of 0 disables it)
+ * @param {Object} extraction - Extraction result
+ * @param {Object} settings - Extraction settings
+ * @param {Object} snapshot - Page snapshot for later diffs (whole pages only)
+ * @returns {Promise<number|null>} - History entry ID, or null when not recorded
+ */
+async function recordExtraction(extraction, settings, snapshot = null) {
+  if (settings.historyLimit <= 0) return null;
+
+  try {
+    return await historyStore.add({
+      pageId: extraction.pageId,
+      objectType: extraction.objectType,
+      title: extraction.title,
+      format: extraction.format,
+      profileId: extraction.profileId,
+      lastEditedTime: extraction.lastEditedTime || null,
+      output: extraction.output,
+      tokens: extraction.tokens,
+      snapshot
+    }, settings.historyLimit);
+  } catch (error) {
+    // The history is a convenience: never fail an extraction over it
+    console.warn('Could not record the extraction in history:', error);
+    return null;
+  }
+}
+
+/**
+ * Compare a page with its last whole-page extraction with the same profile
+ * @param {Object} extraction - Extraction result
+ * @param {Object} snapshot - Snapshot of the page just extracted
+ * @returns {Promise<Object|null>} - { since, changed, properties, added, removed, modified, toon },
+ *                                   or null when the page was never extracted before
+ */
+async function compareWithLastExtraction(extraction, snapshot) {
+  try {
+    const previous = await historyStore.findLatest(extraction.pageId, entry =>
+      Boolean(entry.snapshot) && entry.profileId === extraction.profileId
+    );
+    if (!previous) return null;
+
+    const diff = diffSnapshots(previous.snapshot, snapshot);
+    const since = new Date(previous.createdAt).toISOString();
+    return { since, changed: hasChanges(diff), ...diff, toon: convertChangesToToon(diff, since) };
+  } catch (error) {
+    console.warn('Could not compare with the last extraction:', error);
+    return null;
+  }
+}
+
+/**
+ * Gather what every extraction needs: format, converters, settings and profile
+ */
+async function createExtractionContext(format, profileId) {
+  const converters = CONVERTERS[format];
+  if (!converters) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+
+  return {
+    format,
+    converters,
+    settings: await getSettings(),
+    profile: await getProfile(profileId)
+  };
+}
+
+/**
+ * Extract one page or full-page database with an existing client
+ */
+async function extractObject(client, url, pageId, context) {
+  // Pages and full-page databases share the URL format: try the likely
+  // type first, then the other one if Notion says it's the wrong object
+  const extractors = detectObjectType(url) === 'database'
+    ? [extractDatabase, extractPage]
+    : [extractPage, extractDatabase];
+
+  let result;
+  try {
+    result = await extractors[0](client, pageId, context);
+  } catch (error) {
+    if (!isWrongObjectType(error)) throw error;
+    try {
+      result = await extractors[1](client, pageId, context);
+    } catch (fallbackError) {
+      // Not found either way: the original error is the meaningful one
+      throw isWrongObjectType(fallbackError) ? error : fallbackError;
+    }
+  }
 
   return {
     pageId,
-    title: extractTitle(page),
-    toon
+    format: context.format,
+    profileId: context.profile.id,
+    ...result
   };
 }
 
+/**
+ * Explain why a page of a batch failed
+ */
+function describeBatchError(error) {
+  if (isNotShared(error)) {
+    return 'Not shared with any integration (or does not exist)';
+  }
+  if (error instanceof NotionApiError && error.status === 401) {
+    return 'Invalid API key';
+  }
+  return error.message || 'An unknown error occurred';
+}
+
+/**
+ * Extract a page with its blocks, databases, subpages and mentions
+ */
+async function extractPage(client, pageId, { settings, converters, profile, blockId }) {
+  // Fetch page data and blocks (or only the selected part), then the databases it contains
+  const loadPage = async (id, selectedId = null) => {
+    const [page, allBlocks] = await Promise.all([
+      client.getPage(id),
+      client.getAllBlocks(id)
+    ]);
+
+    const blocks = selectedId ? selectBlocks(allBlocks, selectedId) : allBlocks;
+    if (!blocks) {
+      throw new Error('The linked block was not found on this page. It may be inside a child page or a synced block.');
+    }
+
+    // Query inline and linked databases (0 disables it)
+    if (settings.databaseRowLimit > 0) {
+      await loadChildDatabases(client, blocks, { rowLimit: settings.databaseRowLimit });
+    }
+
+    return { page, blocks };
+  };
+
+  const root = await loadPage(pageId, blockId);
+
+  // Descend into child pages (0 disables it)
+  if (settings.childPageDepth > 0) {
+    const subpages = createSubpageLoader(loadPage, {
+      maxDepth: settings.childPageDepth,
+      maxPages: settings.maxChildPages,
+      followLinks: settings.followPageLinks,
+      visited: [pageId]
+    });
+    await subpages.loadChildPages(root.blocks);
+  }
+
+  // Drop the properties and blocks the profile leaves out
+  const { page, blocks } = applyProfile(root.page, root.blocks, profile);
+  if (blockId && blocks.length === 0) {
+    throw new Error(`The profile "${profile.name}" leaves out the linked block (${describeBlock(root.blocks[0])}). Pick another profile, or extract the whole page.`);
+  }
+
+  // Discussions on the page, its subpages and, if asked, on each block kept
+  // by the profile (one request per block)
+  if (settings.includeComments) {
+    try {
+      await loadComments(client, page, blocks, { blockComments: settings.blockComments });
+    } catch (error) {
+      if (error instanceof NotionApiError && error.status === 403) {
+        throw new Error('Reading comments needs the "Read comments" capability. Enable it for the integration, or turn comments off in the options.');
+      }
+      throw error;
+    }
+  }
+
+  // Look up titles of mentioned pages/users that Notion left unnamed
+  const mentions = createMentionResolver(client);
+  if (settings.resolveMentions) {
+    await mentions.resolvePage(page, blocks);
+  }
+
+  // Convert to the requested format, trimmed to the token budget if one is set
+  const options = {
+    richTextStyle: settings.richTextStyle,
+    mentionTitles: mentions.titles,
+    ...getProfileOptions(profile)
+  };
+  const render = tree => converters.page(page, tree, options);
+  const fitted = settings.maxTokens > 0
+    ? fitToTokenBudget(blocks, render, { maxTokens: settings.maxTokens, tokenizer: settings.tokenizer })
+    : { blocks, output: render(blocks), elided: [] };
+
+  // Split into heading-based chunks (0 disables it)
+  const renderChunk = (chunkPage, tree, chunk) => converters.page(chunkPage, tree, { ...options, chunk });
+  const chunks = settings.chunkTokens > 0
+    ? splitIntoChunks(page, fitted.blocks, renderChunk, {
+      chunkTokens: settings.chunkTokens,
+      tokenizer: settings.tokenizer
+    })
+    : [fitted.output];
+
+  return {
+    objectType: 'page',
+    title: blockId ? `${extractTitle(page)} › ${describeBlock(root.blocks[0])}` : extractTitle(page),
+    lastEditedTime: page.last_edited_time,
+    output: fitted.output,
+    // Files to fetch for a bundle, before their signed URLs expire
+    files: collectFiles(blocks),
+    // Section extractions are not compared: they would show the rest of the page as removed
+    snapshot: blockId ? null : createSnapshot(page, blocks),
+    chunks: chunks.length > 1 ? chunks : null,
+    tokens: {
+      ...compareWithJson(fitted.output, convertToJson(page, fitted.blocks, options), settings.tokenizer),
+      maxTokens: settings.maxTokens,
+      elided: fitted.elided
+    }
+  };
+}
+
+/**
+ * Extract a full-page database: schema and all rows (those that fit the token budget, if one is set)
+ */
+async function extractDatabase(client, databaseId, { settings, converters, profile }) {
+  const [fetched, result] = await Promise.all([
+    client.getDatabase(databaseId),
+    client.queryDatabase(databaseId)
+  ]);
+
+  // Drop the columns the profile leaves out
+  const { database, rows } = applyProfileToDatabase(fetched, result.rows, profile);
+
+  const render = (tableRows, elided) => converters.database(database, tableRows, { elided });
+  const fitted = settings.maxTokens > 0
+    ? fitRowsToTokenBudget(rows, render, { maxTokens: settings.maxTokens, tokenizer: settings.tokenizer })
+    : { rows, output: render(rows, null), elided: [] };
+
+  return {
+    objectType: 'database',
+    title: richTextToPlain(database.title) || 'Untitled',
+    lastEditedTime: database.last_edited_time,
+    output: fitted.output,
+    chunks: null,
+    files: [],
+    tokens: {
+      ...compareWithJson(fitted.output, convertDatabaseToJson(database, fitted.rows), settings.tokenizer),
+      maxTokens: settings.maxTokens,
+      elided: fitted.elided
+    }
+  };
+}
+
+/**
+ * List open tabs showing a Notion page or database
+ * @returns {Promise<Array>} - { url, title } of each tab, in window order
+ */
+async function listNotionTabs() {
+  const tabs = await chrome.tabs.query({ url: NOTION_URL_PATTERNS });
+  return tabs
+    .filter(tab => extractPageId(tab.url))
+    .map(tab => ({ url: tab.url, title: tab.title }));
+}
+
+/**
+ * Save an output as a file in the downloads folder, e.g. "project-roadmap-2f26ee68.toon"
+ * @param {Object} extraction - { title, pageId, format, output }
+ * @param {string} suffix - Appended to the file name, e.g. "-2-of-5" for a chunk
+ * @returns {Promise<number>} - Download ID
+ */
+async function downloadOutput(extraction, suffix = '') {
+  const { title, pageId, format, output } = extraction;
+  const filename = buildFileName(title, pageId, FILE_EXTENSIONS[format] || 'txt', suffix);
+  return downloadBlob({ data: output, type: 'text/plain;charset=utf-8' }, filename);
+}
+
+/**
+ * Save a zip with the output, the files it links to and a manifest
+ * @param {Object} extraction - { title, pageId, format, output, files }
+ * @returns {Promise<Object>} - { downloadId, fetched, failed } (file counts)
+ */
+async function downloadBundle(extraction) {
+  const { zip, fileName, fetched, failed } = await createBundle(extraction);
+  // Messages carry JSON only: the bytes travel as base64
+  const downloadId = await downloadBlob({ data: toBase64(zip), type: 'application/zip', base64: true }, fileName);
+  return { downloadId, fetched, failed };
+}
+
+/**
+ * Download content through a blob URL created in the offscreen document
+ * (Chrome rejects data URLs above about 2 MB), revoked once the download ends
+ * @param {Object} blob - { data, type, base64 } (data is text, or base64 when base64 is set)
+ * @param {string} filename - File name in the downloads folder
+ * @returns {Promise<number>} - Download ID
+ */
+async function downloadBlob(blob, filename) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'createBlobUrl', ...blob });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not prepare the download');
+  }
+
+  const { url } = response;
+  const revoke = () => chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeBlobUrl', url }).catch(() => {});
+
+  let downloadId;
+  try {
+    downloadId = await chrome.downloads.download({ url, filename });
+  } catch (error) {
+    revoke();
+    throw error;
+  }
+
+  const onChanged = delta => {
+    if (delta.id !== downloadId || !['complete', 'interrupted'].includes(delta.state?.current)) return;
+    chrome.downloads.onChanged.removeListener(onChanged);
+    revoke();
+  };
+  chrome.downloads.onChanged.addListener(onChanged);
+
+  return downloadId;
+}
+
+/**
+ * Encode bytes as base64, in slices to stay under the argument limit
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Check if an API error means the object isn't shared with the integration (or doesn't exist)
+ */
+function isNotShared(error) {
+  return error instanceof NotionApiError && error.code === 'object_not_found';
+}
+
+/**
+ * Check if an API error means the ID exists as another object type
+ */
+function isWrongObjectType(error) {
+  return error instanceof NotionApiError &&
+    (error.code === 'object_not_found' || error.code === 'validation_error');
+}
+
+/**
+ * List the top-level headings of a page, for picking a section to extract
+ */
+async function listHeadings(url, integrationId = null) {
+  const clients = await createClients(await getSettings(), integrationId);
+  const pageId = requirePageId(url);
+  const { result: blocks } = await clients.run(url, client => client.getBlockChildren(pageId));
+
+  return blocks
+    .filter(block => getHeadingLevel(block))
+    .map(block => ({
+      id: block.id,
+      level: getHeadingLevel(block),
+      text: describeBlock(block)
+    }));
+}
+
+/**
+ * Short label of a block: its text, or its type
+ */
+function describeBlock(block) {
+  return richTextToPlain(block[block.type]?.rich_text) || block.type.replace(/_/g, ' ');
+}
+
 /**
  * Extract title from page
  */
@@ -75,10 +909,16 @@ function extractTitle(page) {
 }
 
 /**
- * Test API connection
+ * Test API connection with a new key, or the stored key of an integration
  */
-async function testApiConnection(apiKey) {
-  const client = createNotionClient(apiKey);
+async function testApiConnection(apiKey, integrationId = null) {
+  const token = apiKey || (await getIntegrations()).find(integration => integration.id === integrationId)?.token;
+  if (!token) {
+    throw new Error('Please enter an API key first');
+  }
+
+  // Fail fast: the user is waiting on the options page
+  const client = createNotionClient(token, { maxAttempts: 1, rateLimiter: getRateLimiter(token) });
   const user = await client.testConnection();
   return {
     success: true,
@@ -86,6 +926,149 @@ async function testApiConnection(apiKey) {
   };
 }
 
+/**
+ * Register the context menu entries
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    for (const menu of CONTEXT_MENUS) {
+      chrome.contextMenus.create({
+        id: menu.id,
+        title: menu.title,
+        contexts: [menu.context],
+        ...(menu.context === 'link'
+          ? { targetUrlPatterns: NOTION_URL_PATTERNS }
+          : { documentUrlPatterns: NOTION_URL_PATTERNS })
+      });
+    }
+  });
+}
+
+/**
+ * Extract the clicked link (or the current page) and copy it to the clipboard
+ */
+async function handleContextMenuClick(info) {
+  const menu = CONTEXT_MENUS.find(m => m.id === info.menuItemId);
+  if (!menu) return;
+
+  const url = menu.context === 'link' ? info.linkUrl : info.pageUrl;
+  const label = menu.format === 'markdown' ? 'Markdown' : 'TOON';
+
+  try {
+    const result = await extractAndCopy(url, menu.format);
+    notify(`Copied as ${label}`, `"${result.title}" · ≈ ${result.tokens.tokens.toLocaleString()} tokens`);
+  } catch (error) {
+    console.error('Context menu extraction failed:', error);
+    notify(`Could not copy as ${label}`, error.message || 'An unknown error occurred');
+  }
+}
+
+/**
+ * Extract a page and copy the output to the clipboard
+ */
+async function extractAndCopy(url, format, profileId = null) {
+  const result = await extractPageToToon(url, format, profileId);
+  await copyToClipboard(result.output);
+  return result;
+}
+
+/**
+ * Extract the active tab with the default profile and copy it, reporting on the badge
+ */
+async function handleCommand(command, tab) {
+  const format = COMMAND_FORMATS[command];
+  if (!format) return;
+
+  // The tab is passed since Chrome 86, look it up otherwise
+  const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!target) return;
+
+  if (!extractPageId(target.url || '')) {
+    await showBadge(target.id, 'error', 'Not a Notion page');
+    return;
+  }
+
+  await showBadge(target.id, 'working', 'Extracting…');
+
+  try {
+    const result = await extractAndCopy(target.url, format, DEFAULT_PROFILE_ID);
+    await showBadge(target.id, 'success', `Copied "${result.title}" (≈ ${result.tokens.tokens.toLocaleString()} tokens)`);
+  } catch (error) {
+    console.error('Shortcut extraction failed:', error);
+    await showBadge(target.id, 'error', error.message || 'An unknown error occurred');
+  }
+}
+
+/**
+ * Show a badge state on a tab's action icon, with details in its tooltip
+ */
+async function showBadge(tabId, state, title) {
+  const badge = BADGES[state];
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+  await chrome.action.setBadgeText({ tabId, text: badge.text });
+  await chrome.action.setTitle({ tabId, title });
+
+  // Results fade out, the working state stays until replaced
+  if (state !== 'working') {
+    setTimeout(() => {
+      chrome.action.setBadgeText({ tabId, text: '' });
+      chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().name });
+    }, BADGE_CLEAR_DELAY_MS);
+  }
+}
+
+/**
+ * Write text to the clipboard through the offscreen document
+ */
+async function copyToClipboard(text) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'copyToClipboard', text });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not write to the clipboard');
+  }
+}
+
+// Pending creation, so concurrent copies don't open the document twice
+let creatingOffscreen = null;
+
+/**
+ * Open the offscreen document unless it's already open
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  if (contexts.length > 0) return;
+
+  if (!creatingOffscreen) {
+    creatingOffscreen = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['CLIPBOARD', 'BLOBS'],
+      justification: 'Copy extracted Notion content to the clipboard and create blob URLs to download it'
+    }).finally(() => {
+      creatingOffscreen = null;
+    });
+  }
+  await creatingOffscreen;
+}
+
+/**
+ * Show a system notification
+ */
+function notify(title, message) {
+  chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title,
+    message
+  });
+}
+
+chrome.runtime.onInstalled.addListener(createContextMenus);
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+chrome.commands.onCommand.addListener(handleCommand);
+
 /**
  * Handle messages from popup and options
  */
@@ -95,32 +1078,154 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     try {
       switch (request.action) {
         case 'extract': {
-          const result = await extractPageToToon(request.url);
+          const result = await extractPageToToon(request.url, request.format, request.profileId, request.blockId, request.integrationId);
+          sendResponse({ success: true, data: result });
+          break;
+        }
+
+        case 'extractBatch': {
+          const inputs = request.source === 'tabs'
+            ? (await listNotionTabs()).map(tab => tab.url)
+            : request.urls || [];
+          const result = await extractBatch(inputs, request.format, request.profileId, request.integrationId);
           sendResponse({ success: true, data: result });
           break;
         }
 
-        case 'getApiKey': {
-          const apiKey = await getApiKey();
-          sendResponse({ success: true, apiKey });
+        case 'listNotionTabs': {
+          const tabs = await listNotionTabs();
+          sendResponse({ success: true, tabs });
+          break;
+        }
+
+        case 'getIntegrations': {
+          const result = await describeIntegrations();
+          sendResponse({ success: true, ...result });
+          break;
+        }
+
+        case 'saveIntegrations': {
+          await saveIntegrations(request.integrations);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'setPassphrase': {
+          await setPassphrase(request.passphrase);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'removePassphrase': {
+          await removePassphrase();
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'unlockTokens': {
+          await unlockTokens(request.passphrase);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'lockTokens': {
+          await lockTokens();
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'signInWithNotion': {
+          const integration = await signInWithNotion();
+          sendResponse({ success: true, integration });
+          break;
+        }
+
+        case 'getSettings': {
+          const settings = await getSettings();
+          sendResponse({ success: true, settings });
+          break;
+        }
+
+        case 'saveSettings': {
+          await saveSettings(request.settings);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'getProfiles': {
+          const result = await getProfiles();
+          sendResponse({ success: true, ...result });
+          break;
+        }
+
+        case 'saveProfiles': {
+          await saveProfiles(request.profiles);
+          sendResponse({ success: true });
           break;
         }
 
-        case 'saveApiKey': {
-          await saveApiKey(request.apiKey);
+        case 'setActiveProfile': {
+          await setActiveProfile(request.profileId);
           sendResponse({ success: true });
           break;
         }
 
         case 'testConnection': {
-          const result = await testApiConnection(request.apiKey);
+          const result = await testApiConnection(request.apiKey, request.integrationId);
           sendResponse({ success: true, data: result });
           break;
         }
 
         case 'checkPageId': {
           const pageId = extractPageId(request.url);
-          sendResponse({ success: true, pageId });
+          const objectType = pageId ? detectObjectType(request.url) : null;
+          const blockId = pageId ? extractBlockId(request.url) : null;
+          sendResponse({ success: true, pageId, objectType, blockId });
+          break;
+        }
+
+        case 'listHeadings': {
+          const headings = await listHeadings(request.url, request.integrationId);
+          sendResponse({ success: true, headings });
+          break;
+        }
+
+        case 'download': {
+          const downloadId = await downloadOutput(request.extraction, request.suffix);
+          sendResponse({ success: true, downloadId });
+          break;
+        }
+
+        case 'downloadBundle': {
+          const result = await downloadBundle(request.extraction);
+          sendResponse({ success: true, ...result });
+          break;
+        }
+
+        case 'listHistory': {
+          const entries = await historyStore.list({ query: request.query });
+          sendResponse({ success: true, entries });
+          break;
+        }
+
+        case 'getHistoryEntry': {
+          const entry = await historyStore.get(request.id);
+          if (!entry) {
+            throw new Error('This extraction is no longer in the history');
+          }
+          sendResponse({ success: true, entry });
+          break;
+        }
+
+        case 'deleteHistoryEntry': {
+          await historyStore.remove(request.id);
+          sendResponse({ success: true });
+          break;
+        }
+
+        case 'clearHistory': {
+          await historyStore.clear();
+          sendResponse({ success: true });
           break;
         }
 
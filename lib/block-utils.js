@@ -0,0 +1,157 @@
+/**
+ * Block Utilities
+ * Shared block traversal used by every output format, so they never drift
+ */
+
+const LIST_ITEM_TYPES = ['bulleted_list_item', 'numbered_list_item', 'to_do'];
+
+// Blocks that hold a file, hosted by Notion or external
+const FILE_BLOCK_TYPES = ['image', 'video', 'audio', 'file', 'pdf'];
+
+const HEADING_LEVELS = {
+  heading_1: 1,
+  heading_2: 2,
+  heading_3: 3
+};
+
+/**
+ * Check if a block is a list item
+ * @param {Object} block - Notion block
+ * @returns {boolean}
+ */
+export function isListItem(block) {
+  return LIST_ITEM_TYPES.includes(block.type);
+}
+
+/**
+ * Group consecutive list items of the same type
+ *
+ * Every converter walks sibling blocks through this function:
+ * - { kind: 'list', type, items } for a run of list items of the same type
+ * - { kind: 'block', block } for any other block
+ *
+ * @param {Array} blocks - Sibling blocks
+ * @returns {Array<Object>} - Groups in document order
+ */
+export function groupBlocks(blocks) {
+  if (!blocks || blocks.length === 0) return [];
+
+  const groups = [];
+  let i = 0;
+
+  while (i < blocks.length) {
+    const block = blocks[i];
+
+    if (isListItem(block)) {
+      const items = collectListItems(blocks, i);
+      groups.push({ kind: 'list', type: block.type, items });
+      i += items.length;
+      continue;
+    }
+
+    groups.push({ kind: 'block', block });
+    i++;
+  }
+
+  return groups;
+}
+
+/**
+ * Collect consecutive list items of the same type
+ */
+function collectListItems(blocks, startIndex) {
+  const items = [];
+  const startType = blocks[startIndex].type;
+
+  for (let i = startIndex; i < blocks.length; i++) {
+    if (blocks[i].type !== startType) break;
+    items.push(blocks[i]);
+  }
+
+  return items;
+}
+
+/**
+ * Get the URL of a Notion file object (hosted or external)
+ * @param {Object} fileObject - Block payload such as block.image or block.pdf
+ * @returns {string} - URL or empty string
+ */
+export function getFileUrl(fileObject) {
+  return fileObject?.file?.url || fileObject?.external?.url || '';
+}
+
+/**
+ * List the files of a tree: media and file blocks with their URL, subpages included
+ * @param {Array} blocks - Blocks (with nested children and subpages)
+ * @returns {Array<Object>} - { blockId, type, url, name } in document order
+ */
+export function collectFiles(blocks) {
+  const files = [];
+
+  for (const block of blocks || []) {
+    if (FILE_BLOCK_TYPES.includes(block.type)) {
+      const payload = block[block.type];
+      const url = getFileUrl(payload);
+      if (url) {
+        files.push({ blockId: block.id, type: block.type, url, name: payload.name || null });
+      }
+    }
+    files.push(...collectFiles(block.children));
+    files.push(...collectFiles(block.subpage?.blocks));
+  }
+
+  return files;
+}
+
+/**
+ * Get the level of a heading block
+ * @param {Object} block - Notion block
+ * @returns {number|null} - 1 to 3, or null if the block isn't a heading
+ */
+export function getHeadingLevel(block) {
+  return HEADING_LEVELS[block.type] || null;
+}
+
+/**
+ * Find a block by ID anywhere in a tree (not inside subpages)
+ * @param {Array} blocks - Blocks (with nested children)
+ * @param {string} blockId - Block UUID
+ * @returns {Object|null} - The block or null
+ */
+export function findBlock(blocks, blockId) {
+  for (const block of blocks || []) {
+    if (block.id === blockId) return block;
+    const found = findBlock(block.children, blockId);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Select the part of a page a block ID points to
+ *
+ * A top-level heading selects its section: the heading and the blocks after it
+ * until the next heading of equal or higher level. Any other block selects
+ * itself with its children.
+ *
+ * @param {Array} blocks - Top-level blocks of the page (with nested children)
+ * @param {string} blockId - Block UUID
+ * @returns {Array|null} - Selected blocks, or null if the block isn't on the page
+ */
+export function selectBlocks(blocks, blockId) {
+  const index = blocks.findIndex(block => block.id === blockId);
+  const level = index >= 0 ? getHeadingLevel(blocks[index]) : null;
+
+  if (level) {
+    let end = index + 1;
+    while (end < blocks.length) {
+      const next = getHeadingLevel(blocks[end]);
+      if (next && next <= level) break;
+      end++;
+    }
+    return blocks.slice(index, end);
+  }
+
+  const block = findBlock(blocks, blockId);
+  return block ? [block] : null;
+}
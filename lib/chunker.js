@@ -0,0 +1,150 @@
+/**
+ * Chunker
+ * Splits a page into heading-based chunks that each fit a token size
+ *
+ * Top-level blocks are cut into sections at every heading (h1/h2/h3), and
+ * sections are packed into chunks in document order. A section larger than
+ * the chunk size is split between its blocks. Every chunk is rendered as a
+ * page of its own, repeating the page meta and the breadcrumb of headings it
+ * sits under, so it can be read without the others.
+ */
+
+import { richTextToPlain } from './notion-api.js';
+import { estimateTokens } from './token-estimator.js';
+import { getHeadingLevel } from './block-utils.js';
+
+/**
+ * Split a page into rendered chunks
+ * @param {Object} page - Page object from Notion API
+ * @param {Array} blocks - Blocks (with nested children)
+ * @param {Function} render - (page, blocks, chunk) => output; chunk is null when measuring,
+ *                            else { index, total, section } with section the heading breadcrumb
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkTokens - Target maximum tokens per chunk
+ * @param {string} options.tokenizer - Key of TOKENIZERS used to estimate
+ * @returns {Array<string>} - Rendered chunks (a single one when the page fits)
+ */
+export function splitIntoChunks(page, blocks, render, options = {}) {
+  const { chunkTokens, tokenizer } = options;
+
+  // Sizes are measured once per section, net of the repeated page header
+  const headerTokens = estimateTokens(render(page, [], null), tokenizer);
+  const measure = tree => Math.max(0, estimateTokens(render(page, tree, null), tokenizer) - headerTokens);
+  const budget = Math.max(1, chunkTokens - headerTokens);
+
+  const chunks = packSections(splitSections(blocks), measure, budget);
+  if (chunks.length <= 1) {
+    return [render(page, blocks, null)];
+  }
+
+  // Properties and page comments belong to the page, not to each chunk:
+  // later chunks keep the title only
+  const { comments, ...rest } = page;
+  const continued = { ...rest, properties: titleProperties(page.properties) };
+
+  return chunks.map((chunk, i) => render(i === 0 ? page : continued, chunk.blocks, {
+    index: i + 1,
+    total: chunks.length,
+    section: chunk.section
+  }));
+}
+
+/**
+ * Cut top-level blocks into sections starting at each heading
+ * @returns {Array<Object>} - { heading, trail, blocks } with trail the parent headings
+ */
+function splitSections(blocks) {
+  const sections = [];
+  const stack = [];
+  let current = { heading: null, trail: [], blocks: [] };
+
+  for (const block of blocks) {
+    const level = getHeadingLevel(block);
+
+    if (level) {
+      if (current.blocks.length > 0) sections.push(current);
+
+      // Drop headings at the same or a deeper level from the breadcrumb
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+        stack.pop();
+      }
+      const heading = richTextToPlain(block[block.type]?.rich_text) || 'Untitled';
+      current = { heading, trail: stack.map(entry => entry.text), blocks: [block] };
+      stack.push({ level, text: heading });
+      continue;
+    }
+
+    current.blocks.push(block);
+  }
+
+  if (current.blocks.length > 0) sections.push(current);
+  return sections;
+}
+
+/**
+ * Pack sections into chunks under the token budget
+ * @returns {Array<Object>} - { blocks, section } with section the breadcrumb of the first block
+ */
+function packSections(sections, measure, budget) {
+  const chunks = [];
+  let current = null;
+
+  for (const section of sections) {
+    const size = measure(section.blocks);
+
+    if (current && current.size + size <= budget) {
+      current.blocks.push(...section.blocks);
+      current.size += size;
+      continue;
+    }
+
+    if (size <= budget) {
+      current = { blocks: [...section.blocks], size, section: section.trail };
+      chunks.push(current);
+      continue;
+    }
+
+    // Too large for one chunk: split between its blocks
+    for (const part of splitSection(section, measure, budget)) {
+      current = part;
+      chunks.push(current);
+    }
+  }
+
+  return chunks.map(({ blocks, section }) => ({ blocks, section }));
+}
+
+/**
+ * Split an oversized section between blocks; later parts continue under its heading
+ */
+function splitSection(section, measure, budget) {
+  const parts = [];
+  let current = null;
+
+  for (const block of section.blocks) {
+    const size = measure([block]);
+
+    if (current && current.size + size <= budget) {
+      current.blocks.push(block);
+      current.size += size;
+      continue;
+    }
+
+    const trail = parts.length === 0 || !section.heading
+      ? section.trail
+      : [...section.trail, section.heading];
+    current = { blocks: [block], size, section: trail };
+    parts.push(current);
+  }
+
+  return parts;
+}
+
+/**
+ * Keep only the title property
+ */
+function titleProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties || {}).filter(([, prop]) => prop.type === 'title')
+  );
+}
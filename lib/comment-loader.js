@@ -0,0 +1,117 @@
+/**
+ * Comment Loader
+ * Fetches the comments of a page and, optionally, of each of its blocks
+ *
+ * Comments are grouped into discussion threads and attached where the
+ * converters render them: `page.comments` for the discussions on the page
+ * itself, `block.comments` for those on a block. Subpages attached by the
+ * subpage loader get theirs the same way. Every page or block costs at least
+ * one request, which is why block comments are a separate option.
+ *
+ * Thread: { discussionId, comments: [{ id, author, created, text, richText }] }
+ * (converters render richText, so mentions read like in blocks; text is the plain fallback)
+ */
+
+import { richTextToPlain } from './notion-api.js';
+
+// Author shown when the integration can't read user names
+const UNKNOWN_AUTHOR = 'Unknown';
+
+/**
+ * Load comments into a page and its blocks, subpages included
+ * @param {Object} client - Client from createNotionClient
+ * @param {Object} page - Page object, receives `comments`
+ * @param {Array} blocks - Blocks (with nested children and subpages)
+ * @param {Object} options - Loading options
+ * @param {boolean} options.blockComments - Also fetch the comments of every block (default false)
+ */
+export async function loadComments(client, page, blocks, options = {}) {
+  const authors = createAuthorResolver(client);
+
+  const load = async target => {
+    const comments = await client.getComments(target.id);
+    return groupThreads(comments, await authors.resolve(comments));
+  };
+
+  const loadPage = async (target, targetBlocks) => {
+    const flat = flattenBlocks(targetBlocks);
+    const subpages = flat.filter(block => block.subpage?.page).map(block => block.subpage);
+    // A child_page block is the page itself: its comments come with the subpage
+    const commented = flat.filter(block => !(block.type === 'child_page' && block.subpage?.page));
+
+    // All at once: the client's request pool keeps the concurrency bounded
+    await Promise.all([
+      load(target).then(threads => { target.comments = threads; }),
+      ...(options.blockComments ? commented : []).map(async block => {
+        const threads = await load(block);
+        if (threads.length > 0) block.comments = threads;
+      }),
+      ...subpages.map(subpage => loadPage(subpage.page, subpage.blocks))
+    ]);
+  };
+
+  await loadPage(page, blocks);
+}
+
+/**
+ * Look up comment authors by user ID, once per extraction
+ */
+function createAuthorResolver(client) {
+  const names = new Map();
+
+  const lookUp = id => {
+    if (!names.has(id)) {
+      names.set(id, client.getUser(id)
+        .then(user => user.name || UNKNOWN_AUTHOR)
+        .catch(() => UNKNOWN_AUTHOR));
+    }
+    return names.get(id);
+  };
+
+  return {
+    /**
+     * Resolve the authors of a list of comments
+     * @returns {Promise<Map>} - User ID → name
+     */
+    async resolve(comments) {
+      const ids = [...new Set(comments.map(comment => comment.created_by?.id).filter(Boolean))];
+      const resolved = await Promise.all(ids.map(lookUp));
+      return new Map(ids.map((id, i) => [id, resolved[i]]));
+    }
+  };
+}
+
+/**
+ * Group comments by discussion, keeping the order threads started in
+ */
+function groupThreads(comments, authorNames) {
+  const threads = new Map();
+
+  for (const comment of comments) {
+    const discussionId = comment.discussion_id || comment.id;
+    if (!threads.has(discussionId)) {
+      threads.set(discussionId, { discussionId, comments: [] });
+    }
+    threads.get(discussionId).comments.push({
+      id: comment.id,
+      author: authorNames.get(comment.created_by?.id) || UNKNOWN_AUTHOR,
+      created: comment.created_time,
+      text: richTextToPlain(comment.rich_text),
+      richText: comment.rich_text || []
+    });
+  }
+
+  return [...threads.values()];
+}
+
+/**
+ * List every block of a tree (not inside subpages)
+ */
+function flattenBlocks(blocks, result = []) {
+  for (const block of blocks || []) {
+    if (!block.id) continue;
+    result.push(block);
+    flattenBlocks(block.children, result);
+  }
+  return result;
+}
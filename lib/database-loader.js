@@ -0,0 +1,70 @@
+/**
+ * Database Loader
+ * Fetches the rows of inline and linked databases found in a page
+ */
+
+import { richTextToPlain } from './notion-api.js';
+
+/**
+ * Attach schema and rows to every child_database block in a tree
+ *
+ * Each block gets a `database` field:
+ * { title, columns, rows, hasMore } on success, or { error } when the
+ * database can't be queried (e.g. linked view of a database not shared
+ * with the integration). Converters fall back to the title alone.
+ *
+ * @param {Object} client - Client from createNotionClient
+ * @param {Array} blocks - Blocks (with nested children)
+ * @param {Object} options - Loader options
+ * @param {number} options.rowLimit - Maximum rows fetched per database
+ * @returns {Promise<void>}
+ */
+export async function loadChildDatabases(client, blocks, options = {}) {
+  const rowLimit = options.rowLimit ?? 100;
+
+  for (const block of findChildDatabases(blocks)) {
+    try {
+      const [database, result] = await Promise.all([
+        client.getDatabase(block.id),
+        client.queryDatabase(block.id, rowLimit)
+      ]);
+
+      block.database = {
+        title: richTextToPlain(database.title) || block.child_database?.title || 'Untitled',
+        columns: getDatabaseColumns(database),
+        rows: result.rows,
+        hasMore: result.hasMore
+      };
+    } catch (error) {
+      console.warn(`Could not load database ${block.id}:`, error.message);
+      block.database = { error: error.message };
+    }
+  }
+}
+
+/**
+ * Get column names in schema order, title column first
+ * @param {Object} database - Database object from Notion API
+ * @returns {Array<string>} - Property names
+ */
+export function getDatabaseColumns(database) {
+  const entries = Object.entries(database.properties || {});
+  const title = entries.filter(([, prop]) => prop.type === 'title');
+  const others = entries.filter(([, prop]) => prop.type !== 'title');
+  return [...title, ...others].map(([name]) => name);
+}
+
+/**
+ * Find child_database blocks anywhere in a tree
+ */
+function findChildDatabases(blocks, found = []) {
+  for (const block of blocks || []) {
+    if (block.type === 'child_database') {
+      found.push(block);
+    }
+    if (block.children) {
+      findChildDatabases(block.children, found);
+    }
+  }
+  return found;
+}
@@ -0,0 +1,138 @@
+/**
+ * Downloads
+ * File names for extractions, and zip bundles of a page with its files
+ *
+ * Notion signs the URLs of hosted files (images, PDFs, attachments) for an
+ * hour only, so a bundle fetches them right away and stores them next to the
+ * page text:
+ *
+ * project-roadmap-2f26ee68.zip
+ * ├── project-roadmap-2f26ee68.toon
+ * ├── files/01-architecture.png
+ * ├── files/02-spec.pdf
+ * └── manifest.json   // page, extraction time, and each file's block, URL and path (or error)
+ */
+
+import { createZip } from './zip-writer.js';
+
+// File extensions per output format
+export const FILE_EXTENSIONS = {
+  toon: 'toon',
+  markdown: 'md',
+  json: 'json'
+};
+
+// Extensions for files whose URL doesn't tell
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+  'video/mp4': 'mp4',
+  'audio/mpeg': 'mp3'
+};
+
+/**
+ * Build a file name from a page title and ID, e.g. "project-roadmap-2f26ee68.toon"
+ * @param {string} title - Page title
+ * @param {string} pageId - Page UUID (null for batches)
+ * @param {string} extension - File extension without the dot
+ * @param {string} suffix - Appended to the name, e.g. "-2-of-5"
+ * @returns {string} - Safe file name
+ */
+export function buildFileName(title, pageId, extension, suffix = '') {
+  const slug = slugify(title) || 'notion-page';
+  const id = pageId ? `-${pageId.replace(/-/g, '').slice(0, 8)}` : '';
+  return `${slug}${id}${suffix}.${extension}`;
+}
+
+/**
+ * Create a zip bundle of an extraction and its files
+ * @param {Object} extraction - { title, pageId, format, output, files } (files from collectFiles)
+ * @param {Function} fetchFile - fetch-compatible function (default: global fetch)
+ * @returns {Promise<Object>} - { zip, fileName, fetched, failed }
+ */
+export async function createBundle(extraction, fetchFile = fetch) {
+  const { title, pageId, format, output, files = [] } = extraction;
+  const textName = buildFileName(title, pageId, FILE_EXTENSIONS[format] || 'txt');
+  const entries = [{ path: textName, data: output }];
+  const manifestFiles = [];
+
+  // One at a time: files can be large, and nothing here is urgent
+  for (const [i, file] of files.entries()) {
+    const described = { blockId: file.blockId, type: file.type, url: file.url };
+
+    try {
+      const response = await fetchFile(file.url);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+      const data = new Uint8Array(await response.arrayBuffer());
+      const path = `files/${String(i + 1).padStart(2, '0')}-${nameFile(file, contentType)}`;
+
+      entries.push({ path, data });
+      manifestFiles.push({ ...described, path, contentType: contentType || null, size: data.length });
+    } catch (error) {
+      // Keep the bundle: the manifest says which file is missing and why
+      manifestFiles.push({ ...described, error: error.message || 'Download failed' });
+    }
+  }
+
+  const manifest = {
+    title,
+    pageId,
+    format,
+    extractedAt: new Date().toISOString(),
+    text: textName,
+    files: manifestFiles
+  };
+  entries.push({ path: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+
+  const failed = manifestFiles.filter(file => file.error).length;
+  return {
+    zip: createZip(entries),
+    fileName: buildFileName(title, pageId, 'zip'),
+    fetched: manifestFiles.length - failed,
+    failed
+  };
+}
+
+/**
+ * Name a bundled file after its upload name or URL, with an extension
+ */
+function nameFile(file, contentType) {
+  let name = file.name;
+  if (!name) {
+    try {
+      name = decodeURIComponent(new URL(file.url).pathname.split('/').pop());
+    } catch {
+      name = '';
+    }
+  }
+
+  const dot = name.lastIndexOf('.');
+  const base = slugify(dot > 0 ? name.slice(0, dot) : name) || file.type;
+  const extension = dot > 0
+    ? name.slice(dot + 1).toLowerCase().replace(/[^a-z0-9]/g, '')
+    : CONTENT_TYPE_EXTENSIONS[contentType] || 'bin';
+
+  return `${base}.${extension || 'bin'}`;
+}
+
+/**
+ * Turn a title into a lowercase, dash-separated name
+ */
+function slugify(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
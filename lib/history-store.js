@@ -0,0 +1,204 @@
+/**
+ * Extraction History
+ * Keeps past extractions in IndexedDB, so they can be copied again without calling the API
+ *
+ * Entry:
+ * {
+ *   id,                  // auto-incremented
+ *   pageId, objectType,  // page, database or batch (pageId is null for batches)
+ *   title, format, profileId,
+ *   createdAt,           // when it was extracted (ms since epoch)
+ *   lastEditedTime,      // Notion's last_edited_time at that moment
+ *   output, tokens,
+ *   snapshot             // whole-page extractions only, for diffs (see page-diff.js)
+ * }
+ *
+ * Listing returns summaries without the output; get() returns the full entry.
+ */
+
+const DB_NAME = 'notion-extractor';
+const DB_VERSION = 1;
+const STORE_NAME = 'extractions';
+
+// Entries returned by a listing when no limit is given
+const DEFAULT_LIST_LIMIT = 100;
+
+/**
+ * Create a history store backed by IndexedDB
+ * @returns {Object} - { add, list, get, findLatest, remove, clear }
+ */
+export function createHistoryStore() {
+  let opening = null;
+
+  /**
+   * Open the database once, creating the store on first use
+   */
+  function openDatabase() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+          store.createIndex('pageId', 'pageId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          opening = null;
+          reject(request.error);
+        };
+      });
+    }
+    return opening;
+  }
+
+  /**
+   * Run work in a transaction, resolving with its result once committed
+   */
+  async function transact(mode, work) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('History transaction aborted'));
+
+      Promise.resolve(work(transaction.objectStore(STORE_NAME))).then(value => {
+        result = value;
+      }, error => {
+        transaction.abort();
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Store an extraction, then drop the oldest ones beyond the retention cap
+   * @param {Object} entry - Entry without id and createdAt
+   * @param {number} maxEntries - Entries kept in total
+   * @returns {Promise<number>} - ID of the new entry
+   */
+  async function add(entry, maxEntries) {
+    return transact('readwrite', async store => {
+      const id = await promisify(store.add({ ...entry, createdAt: Date.now() }));
+
+      let excess = await promisify(store.count()) - maxEntries;
+      if (excess > 0) {
+        await iterate(store.index('createdAt').openCursor(), cursor => {
+          cursor.delete();
+          return --excess > 0;
+        });
+      }
+
+      return id;
+    });
+  }
+
+  /**
+   * List entries, newest first, optionally matching a search query
+   * @param {Object} options - Listing options
+   * @param {string} options.query - Case-insensitive text searched in titles and outputs
+   * @param {number} options.limit - Maximum entries returned (default 100)
+   * @returns {Promise<Array>} - Entry summaries (no output, but its size in characters)
+   */
+  async function list({ query = '', limit = DEFAULT_LIST_LIMIT } = {}) {
+    const needle = query.trim().toLowerCase();
+    const entries = [];
+
+    await transact('readonly', store => iterate(store.index('createdAt').openCursor(null, 'prev'), cursor => {
+      const entry = cursor.value;
+      if (!needle || entry.title.toLowerCase().includes(needle) || entry.output.toLowerCase().includes(needle)) {
+        entries.push(summarize(entry));
+      }
+      return entries.length < limit;
+    }));
+
+    return entries;
+  }
+
+  /**
+   * Get a full entry
+   * @param {number} id - Entry ID
+   * @returns {Promise<Object|null>} - Entry, or null if it was deleted
+   */
+  async function get(id) {
+    return transact('readonly', async store => (await promisify(store.get(id))) || null);
+  }
+
+  /**
+   * Get the newest entry of a page that matches a condition
+   * @param {string} pageId - Page ID
+   * @param {Function} matches - (entry) => boolean
+   * @returns {Promise<Object|null>} - Full entry, or null if none matches
+   */
+  async function findLatest(pageId, matches) {
+    let found = null;
+
+    // IDs grow with time: walking the page's entries backwards goes newest first
+    await transact('readonly', store => iterate(store.index('pageId').openCursor(IDBKeyRange.only(pageId), 'prev'), cursor => {
+      if (matches(cursor.value)) {
+        found = cursor.value;
+        return false;
+      }
+      return true;
+    }));
+
+    return found;
+  }
+
+  /**
+   * Delete an entry
+   * @param {number} id - Entry ID
+   */
+  async function remove(id) {
+    await transact('readwrite', store => promisify(store.delete(id)));
+  }
+
+  /**
+   * Delete every entry
+   */
+  async function clear() {
+    await transact('readwrite', store => promisify(store.clear()));
+  }
+
+  return { add, list, get, findLatest, remove, clear };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Walk a cursor while the visitor returns true
+ */
+function iterate(request, visit) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && visit(cursor)) {
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Describe an entry without its output and snapshot
+ */
+function summarize(entry) {
+  const { output, snapshot, ...summary } = entry;
+  return { ...summary, size: output.length };
+}
@@ -0,0 +1,121 @@
+/**
+ * Integrations
+ * Named Notion tokens, each optionally tied to a workspace
+ *
+ * Integration:
+ * {
+ *   id, name,
+ *   token,        // integration token, or access token from an OAuth sign-in
+ *   workspace,    // optional workspace URL prefix, e.g. "https://www.notion.so/acme" (or just "acme")
+ *   source,       // "token" (pasted) or "oauth" (signed in)
+ *   workspaceId   // Notion workspace ID, known for OAuth sign-ins only
+ * }
+ *
+ * An integration only sees the pages shared with it, and a token belongs to
+ * one workspace. For a URL, the integrations whose workspace matches its slug
+ * are tried first; the others follow, in case the page is shared with them.
+ */
+
+// Notion token prefixes: "ntn_" since September 2024, "secret_" before
+export const TOKEN_PREFIXES = ['ntn_', 'secret_'];
+
+// A page ID or page path segment ends with 32 hex digits once dashes are removed
+const PAGE_ID_SUFFIX = /[0-9a-f]{32}$/i;
+
+/**
+ * Fill missing integration fields and trim user input
+ * @param {Object} integration - Stored or user-edited integration
+ * @returns {Object} - Complete integration
+ */
+export function normalizeIntegration(integration) {
+  return {
+    id: integration.id,
+    name: (integration.name || '').trim() || 'Integration',
+    token: (integration.token || '').trim(),
+    workspace: (integration.workspace || '').trim(),
+    source: integration.source === 'oauth' ? 'oauth' : 'token',
+    workspaceId: integration.workspaceId || null
+  };
+}
+
+/**
+ * Check if a string looks like a Notion token (internal or OAuth, old or new format)
+ * @param {string} token - Token as pasted
+ * @returns {boolean}
+ */
+export function isValidToken(token) {
+  return TOKEN_PREFIXES.some(prefix => token.startsWith(prefix) && token.length > prefix.length) &&
+    !/\s/.test(token);
+}
+
+/**
+ * Mask a token for display, keeping its prefix and last characters
+ * @param {string} token - Token
+ * @returns {string} - e.g. "ntn_…3f9a" (empty for no token)
+ */
+export function maskToken(token) {
+  if (!token) return '';
+  const prefix = TOKEN_PREFIXES.find(p => token.startsWith(p)) || '';
+  // Short tokens would give too much away
+  const tail = token.length - prefix.length >= 16 ? token.slice(-4) : '';
+  return `${prefix}…${tail}`;
+}
+
+/**
+ * Get the workspace slug of a Notion URL or workspace prefix
+ * @param {string} url - e.g. "https://www.notion.so/acme/Roadmap-2f26…", "https://acme.notion.site/…" or "acme"
+ * @returns {string|null} - Lowercase slug, or null when the URL doesn't name a workspace
+ */
+export function getWorkspaceSlug(url) {
+  const value = (url || '').trim();
+  if (!value) return null;
+
+  // A bare slug, as typed in the options (or a bare page ID, which has none)
+  if (!/[/.]/.test(value)) {
+    return isPageSegment(value) ? null : value.toLowerCase();
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+  } catch {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  if (host.endsWith('.notion.site')) {
+    return host.slice(0, -'.notion.site'.length);
+  }
+
+  const [first] = parsed.pathname.split('/').filter(Boolean);
+  if (!first || isPageSegment(first)) {
+    return null;
+  }
+  return decodeURIComponent(first).toLowerCase();
+}
+
+/**
+ * Order integrations for a URL: the picked one, then those of its workspace, then the rest
+ * @param {Array<Object>} integrations - Integrations (see normalizeIntegration)
+ * @param {string} url - Notion URL or page ID
+ * @param {string} preferredId - Integration picked in the popup (null = automatic)
+ * @returns {Array<Object>} - Integrations in the order to try them
+ */
+export function orderIntegrations(integrations, url, preferredId = null) {
+  const slug = getWorkspaceSlug(url);
+  const rank = integration => {
+    if (integration.id === preferredId) return 0;
+    if (slug && getWorkspaceSlug(integration.workspace) === slug) return 1;
+    return 2;
+  };
+
+  // Array sort is stable: equally ranked integrations keep the user's order
+  return [...integrations].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Check if a URL path segment is a page ("Roadmap-2f26…") rather than a workspace
+ */
+function isPageSegment(segment) {
+  return PAGE_ID_SUFFIX.test(segment.replace(/-/g, ''));
+}
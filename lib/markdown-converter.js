@@ -0,0 +1,649 @@
+/**
+ * Markdown Converter
+ * Converts Notion API data to Markdown (GitHub Flavored Markdown)
+ */
+
+import { richTextToPlain, extractPropertyValue } from './notion-api.js';
+import { groupBlocks, isListItem, getFileUrl } from './block-utils.js';
+import { renderRichText, renderPropertyText } from './rich-text.js';
+import { getDatabaseColumns } from './database-loader.js';
+
+/**
+ * Convert Notion page data to Markdown format
+ * @param {Object} page - Page object from Notion API
+ * @param {Array} blocks - Array of block objects
+ * @param {Object} options - Conversion options
+ * @param {string} options.richTextStyle - 'markdown' (default) or 'plain'
+ * @param {Map} options.mentionTitles - Resolved mention titles by object ID
+ * @param {Object} options.chunk - { index, total, section } when rendering one chunk of a page
+ * @param {boolean} options.includeMeta - Emit page id and dates (default true)
+ * @param {boolean} options.mediaUrls - Emit URLs of media, files and embeds (default true)
+ * @returns {string} - Markdown formatted string
+ */
+export function convertToMarkdown(page, blocks, options = {}) {
+  const lines = [];
+
+  // Front matter with page metadata
+  const title = extractTitle(page, options);
+  lines.push('---');
+  if (options.includeMeta !== false) {
+    lines.push(`id: ${page.id}`);
+    lines.push(`created: ${page.created_time}`);
+    lines.push(`updated: ${page.last_edited_time}`);
+  }
+  if (title) {
+    lines.push(`title: ${JSON.stringify(title)}`);
+  }
+  // Position of this chunk and the headings it sits under (see chunker.js)
+  if (options.chunk) {
+    lines.push(`chunk: ${options.chunk.index}/${options.chunk.total}`);
+    if (options.chunk.section.length > 0) {
+      lines.push(`section: ${JSON.stringify(options.chunk.section.join(' › '))}`);
+    }
+  }
+  lines.push('---');
+  lines.push('');
+
+  lines.push(...convertPage(page, blocks, { ...options, titleLevel: 1 }));
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Convert a full-page database to Markdown format
+ * @param {Object} database - Database object from Notion API
+ * @param {Array} rows - Page objects from queryDatabase
+ * @param {Object} options - Conversion options
+ * @param {string} options.elided - Summary of the rows left out to fit the token budget
+ * @returns {string} - Markdown formatted string
+ */
+export function convertDatabaseToMarkdown(database, rows, options = {}) {
+  const lines = [];
+  const columns = getDatabaseColumns(database);
+  const title = richTextToPlain(database.title);
+
+  // Front matter with database metadata
+  lines.push('---');
+  lines.push(`id: ${database.id}`);
+  lines.push('type: database');
+  lines.push(`created: ${database.created_time}`);
+  lines.push(`updated: ${database.last_edited_time}`);
+  if (title) {
+    lines.push(`title: ${JSON.stringify(title)}`);
+  }
+  lines.push('---');
+  lines.push('');
+
+  if (title) {
+    lines.push(`# ${title}`);
+    lines.push('');
+  }
+
+  const description = richTextToPlain(database.description);
+  if (description) {
+    lines.push(description);
+    lines.push('');
+  }
+
+  // Schema as a list of property types
+  for (const name of columns) {
+    lines.push(`- **${name}:** ${database.properties[name].type}`);
+  }
+  if (columns.length > 0) {
+    lines.push('');
+  }
+
+  lines.push(...formatDatabase({ columns, rows }));
+  if (options.elided) {
+    lines.push('', `*[… ${options.elided}]*`);
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Combine several Markdown documents into one, each keeping its front matter
+ * @param {Array<string>} documents - Outputs of convertToMarkdown or convertDatabaseToMarkdown
+ * @returns {string} - Markdown formatted string
+ */
+export function combineMarkdownDocuments(documents) {
+  return documents.map(document => document.trimEnd()).join('\n\n') + '\n';
+}
+
+/**
+ * Convert a page to Markdown lines (title heading, properties and content)
+ * Subpages are rendered the same way, one heading level deeper
+ */
+function convertPage(page, blocks, options = {}) {
+  const lines = [];
+  const title = extractTitle(page, options);
+
+  if (title) {
+    const heading = headingMarker(options.titleLevel);
+    const text = options.titleLevel > 1 ? `[${escapeLinkText(title)}](${notionUrl(page.id)})` : title;
+    lines.push(`${heading} ${text}`);
+    lines.push('');
+  }
+
+  // Subpages have no front matter, keep their metadata visible
+  if (options.titleLevel > 1 && options.includeMeta !== false) {
+    lines.push(`*ID: ${page.id} · Updated: ${page.last_edited_time}*`);
+    lines.push('');
+  }
+
+  // Properties as a definition-style list (for database pages)
+  const properties = convertProperties(page.properties, options);
+  if (properties.length > 0) {
+    lines.push(...properties);
+    lines.push('');
+  }
+
+  // Content
+  lines.push(...convertBlocks(blocks, options));
+
+  // Comments on the page itself (see comment-loader.js)
+  if (page.comments?.length > 0) {
+    lines.push('', `${headingMarker((options.titleLevel || 1) + 1)} Comments`, '');
+    lines.push(...formatPageComments(page.comments, options));
+  }
+
+  return lines;
+}
+
+/**
+ * Heading marker for a level, capped at Markdown's h6
+ */
+function headingMarker(level = 1) {
+  return '#'.repeat(Math.min(6, level));
+}
+
+/**
+ * Extract title from page properties, with resolved mention titles
+ */
+function extractTitle(page, options = {}) {
+  if (!page.properties) return null;
+
+  for (const [, prop] of Object.entries(page.properties)) {
+    if (prop.type === 'title') {
+      return renderPropertyText(prop, { ...options, richTextStyle: 'plain' });
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert page properties to a Markdown list
+ * Text properties are rendered like block text, mentions included
+ */
+function convertProperties(properties, options = {}) {
+  if (!properties) return [];
+
+  const lines = [];
+
+  for (const [name, prop] of Object.entries(properties)) {
+    // Skip title as it's the document heading
+    if (prop.type === 'title') continue;
+
+    const value = renderPropertyText(prop, options) ?? extractPropertyValue(prop);
+    if (value === null || value === undefined || value === '') continue;
+
+    // Commas inside an option are escaped, so each one stays distinct
+    const formattedValue = Array.isArray(value)
+      ? value.map(item => String(item).replace(/,/g, '\\,')).join(', ')
+      : String(value);
+
+    // Continuation lines are indented under the item, like list children
+    const [firstLine, ...rest] = textLines(formattedValue);
+    lines.push(`- **${name}:** ${firstLine}`, ...rest.map(line => `  ${line}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Convert blocks to Markdown lines
+ * Blocks are separated by blank lines, items of the same list are kept tight
+ */
+function convertBlocks(blocks, options = {}) {
+  const lines = [];
+
+  for (const group of groupBlocks(blocks)) {
+    const groupLines = group.kind === 'list'
+      ? group.items.flatMap((item, index) => convertListItem(item, index + 1, options))
+      : convertBlock(group.block, 1, options);
+
+    // Comments follow their block (list items carry their own, see convertListItem)
+    const commentLines = group.kind === 'list' ? [] : formatBlockComments(group.block.comments, options);
+    if (groupLines.length > 0 && commentLines.length > 0) {
+      groupLines.push('', ...commentLines);
+    }
+
+    if (groupLines.length === 0) continue;
+
+    if (lines.length > 0) {
+      lines.push('');
+    }
+    lines.push(...groupLines);
+  }
+
+  return lines;
+}
+
+/**
+ * Convert a list item, its comments indented under it like its children
+ * (a quote interrupts the item text, so the list stays tight)
+ */
+function convertListItem(item, listNumber, options = {}) {
+  const lines = convertBlock(item, listNumber, options);
+  const commentLines = formatBlockComments(item.comments, options);
+  if (lines.length === 0 || commentLines.length === 0) return lines;
+
+  const marker = item.type === 'numbered_list_item' ? `${listNumber}. ` : '- ';
+  const indentStr = ' '.repeat(marker.length);
+  return [...lines, ...commentLines.map(line => `${indentStr}${line}`)];
+}
+
+/**
+ * Convert a single block to Markdown lines
+ */
+function convertBlock(block, listNumber = 1, options = {}) {
+  const lines = [];
+
+  switch (block.type) {
+    case 'paragraph': {
+      const text = renderRichText(block.paragraph?.rich_text, options);
+      if (text) {
+        lines.push(...textLines(text));
+      }
+      if (block.children) {
+        lines.push('', ...convertBlocks(block.children, options));
+      }
+      break;
+    }
+
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const level = Number(block.type.slice(-1));
+      const text = renderRichText(block[block.type]?.rich_text, options);
+      if (text) {
+        // Page title takes the first level, so shift heading levels down
+        const marker = headingMarker((options.titleLevel || 1) + level);
+        lines.push(`${marker} ${text.replace(/\n/g, ' ')}`);
+      }
+      if (block.children) {
+        lines.push('', ...convertBlocks(block.children, options));
+      }
+      break;
+    }
+
+    case 'bulleted_list_item': {
+      const text = renderRichText(block.bulleted_list_item?.rich_text, options);
+      lines.push(...formatListItem('- ', text, block.children, options));
+      break;
+    }
+
+    case 'numbered_list_item': {
+      const text = renderRichText(block.numbered_list_item?.rich_text, options);
+      lines.push(...formatListItem(`${listNumber}. `, text, block.children, options));
+      break;
+    }
+
+    case 'to_do': {
+      const text = renderRichText(block.to_do?.rich_text, options);
+      const checked = block.to_do?.checked ? '[x]' : '[ ]';
+      lines.push(...formatListItem('- ', text, block.children, options, `${checked} `));
+      break;
+    }
+
+    case 'toggle': {
+      const text = renderRichText(block.toggle?.rich_text, options);
+      lines.push(...formatListItem('- ', text, block.children, options));
+      break;
+    }
+
+    case 'code': {
+      const text = richTextToPlain(block.code?.rich_text);
+      const lang = block.code?.language === 'plain text' ? '' : (block.code?.language || '');
+      // Use a fence longer than any backtick run inside the code
+      const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(longestRun + 1);
+      lines.push(`${fence}${lang}`);
+      lines.push(...text.split('\n'));
+      lines.push(fence);
+      break;
+    }
+
+    case 'quote': {
+      const text = renderRichText(block.quote?.rich_text, options);
+      const body = text ? textLines(text) : [];
+      if (block.children) {
+        body.push('', ...convertBlocks(block.children, options));
+      }
+      lines.push(...prefixLines(body, '>'));
+      break;
+    }
+
+    case 'callout': {
+      const text = renderRichText(block.callout?.rich_text, options);
+      const icon = block.callout?.icon?.emoji || '💡';
+      const [firstLine, ...rest] = textLines(text);
+      const body = [`${icon} ${firstLine}`, ...rest];
+      if (block.children) {
+        body.push('', ...convertBlocks(block.children, options));
+      }
+      lines.push(...prefixLines(body, '>'));
+      break;
+    }
+
+    case 'divider':
+      lines.push('---');
+      break;
+
+    // Captions end up inside link labels, which can't hold links: keep them plain
+    case 'image': {
+      const url = getFileUrl(block.image);
+      const caption = richTextToPlain(block.image?.caption);
+      lines.push(options.mediaUrls === false
+        ? `*Image${caption ? `: ${caption}` : ''}*`
+        : `![${escapeLinkText(caption)}](${url})`);
+      break;
+    }
+
+    case 'video': {
+      const url = getFileUrl(block.video);
+      const caption = richTextToPlain(block.video?.caption);
+      lines.push(formatMediaLink(caption || 'Video', url, options));
+      break;
+    }
+
+    case 'audio': {
+      const url = getFileUrl(block.audio);
+      const caption = richTextToPlain(block.audio?.caption);
+      lines.push(formatMediaLink(caption || 'Audio', url, options));
+      break;
+    }
+
+    case 'file': {
+      const url = getFileUrl(block.file);
+      const name = block.file?.name || 'file';
+      lines.push(formatMediaLink(name, url, options));
+      break;
+    }
+
+    case 'pdf': {
+      const url = getFileUrl(block.pdf);
+      const caption = richTextToPlain(block.pdf?.caption);
+      lines.push(formatMediaLink(caption || 'PDF', url, options));
+      break;
+    }
+
+    case 'bookmark': {
+      const url = block.bookmark?.url || '';
+      const caption = richTextToPlain(block.bookmark?.caption);
+      lines.push(formatMediaLink(caption || url, url, options));
+      break;
+    }
+
+    case 'link_preview': {
+      const url = block.link_preview?.url || '';
+      lines.push(options.mediaUrls === false ? '*Link preview*' : `<${url}>`);
+      break;
+    }
+
+    case 'embed': {
+      const url = block.embed?.url || '';
+      lines.push(options.mediaUrls === false ? '*Embed*' : `<${url}>`);
+      break;
+    }
+
+    case 'equation': {
+      const expr = block.equation?.expression || '';
+      lines.push('$$');
+      lines.push(...expr.split('\n'));
+      lines.push('$$');
+      break;
+    }
+
+    case 'table':
+      lines.push(...formatTable(block, options));
+      break;
+
+    case 'table_of_contents':
+    case 'breadcrumb':
+      // Navigation-only blocks have no content to export
+      break;
+
+    case 'column_list':
+      if (block.children) {
+        const columns = block.children
+          .filter(col => col.children)
+          .map(col => convertBlocks(col.children, options));
+        columns.forEach((column, index) => {
+          if (index > 0) lines.push('');
+          lines.push(...column);
+        });
+      }
+      break;
+
+    case 'synced_block':
+      if (block.children) {
+        lines.push(...convertBlocks(block.children, options));
+      }
+      break;
+
+    case 'child_page': {
+      if (block.subpage?.page) {
+        lines.push(...formatSubpage(block, options));
+        break;
+      }
+      const title = block.child_page?.title || 'Untitled';
+      lines.push(`📄 [${escapeLinkText(title)}](${notionUrl(block.id)})`);
+      break;
+    }
+
+    case 'child_database': {
+      const title = block.database?.title || block.child_database?.title || 'Untitled';
+      lines.push(`🗃️ [${escapeLinkText(title)}](${notionUrl(block.id)})`);
+      // Rows are attached by loadChildDatabases when the database is queryable
+      if (block.database?.rows) {
+        lines.push('', ...formatDatabase(block.database));
+      }
+      break;
+    }
+
+    case 'link_to_page': {
+      const pageId = block.link_to_page?.page_id || block.link_to_page?.database_id || '';
+      if (block.subpage?.page) {
+        lines.push(...formatSubpage(block, options));
+        break;
+      }
+      lines.push(`→ [${pageId}](${notionUrl(pageId)})`);
+      break;
+    }
+
+    case 'elided':
+      // Content left out to fit the token budget (see token-budget.js)
+      lines.push(`*[… ${block.elided.summary}]*`);
+      break;
+
+    default:
+      // Unknown block type - keep a trace without polluting the rendered output
+      lines.push(`<!-- ${block.type} -->`);
+  }
+
+  return lines;
+}
+
+/**
+ * Format a link to a file or URL, or just its label when the profile leaves URLs out
+ */
+function formatMediaLink(label, url, options = {}) {
+  return options.mediaUrls === false ? `*${label}*` : `[${escapeLinkText(label)}](${url})`;
+}
+
+/**
+ * Format page comments as a list of threads, replies nested under the first comment
+ */
+function formatPageComments(threads, options = {}) {
+  return threads.flatMap(thread => thread.comments.map((comment, i) =>
+    `${i === 0 ? '- ' : '  - '}${formatComment(comment, options)}`
+  ));
+}
+
+/**
+ * Format block comments as a quote under the block, one line per comment
+ */
+function formatBlockComments(threads, options = {}) {
+  const lines = (threads || []).flatMap(thread => thread.comments.map((comment, i) =>
+    `> ${i === 0 ? '💬' : '↳'} ${formatComment(comment, options)}`
+  ));
+  // Separate lines of the quote without merging them into one paragraph
+  return lines.flatMap((line, i) => i === 0 ? [line] : ['>', line]);
+}
+
+/**
+ * Format one comment: author, day and text (mentions rendered like in blocks)
+ */
+function formatComment(comment, options = {}) {
+  const day = (comment.created || '').slice(0, 10);
+  const text = renderRichText(comment.richText, options) || comment.text;
+  return `**${comment.author}** (${day}): ${text.replace(/\n/g, ' ')}`;
+}
+
+/**
+ * Format a subpage attached by the subpage loader as a nested section
+ */
+function formatSubpage(block, options = {}) {
+  const titleLevel = (options.titleLevel || 1) + 1;
+  return convertPage(block.subpage.page, block.subpage.blocks, { ...options, titleLevel });
+}
+
+/**
+ * Format a list item with its nested children indented under the marker
+ * (a to-do's checkbox is part of its content, so it doesn't count in the indent)
+ */
+function formatListItem(marker, text, children, options = {}, checkbox = '') {
+  const [firstLine, ...rest] = textLines(text);
+  const indentStr = ' '.repeat(marker.length);
+  const lines = [`${marker}${checkbox}${firstLine}`];
+
+  for (const line of rest) {
+    lines.push(`${indentStr}${line}`);
+  }
+
+  if (children) {
+    // Non-list children need a blank line, or they would merge into the item text
+    if (children.length > 0 && !isListItem(children[0])) {
+      lines.push('');
+    }
+    for (const line of convertBlocks(children, options)) {
+      lines.push(line ? `${indentStr}${line}` : '');
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Format a table block as a GFM table
+ */
+function formatTable(block, options = {}) {
+  const rows = (block.children || []).map(row =>
+    row.table_row?.cells?.map(cell => escapeTableCell(renderRichText(cell, options))) || []
+  );
+
+  if (rows.length === 0) return [];
+
+  // GFM requires a header row, leave it blank when the table has none
+  const hasHeader = block.table?.has_column_header;
+  const header = hasHeader ? rows[0] : [];
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return formatGfmTable(header, dataRows, block.table?.table_width);
+}
+
+/**
+ * Format database rows as a GFM table
+ */
+function formatDatabase(database) {
+  const header = database.columns.map(escapeTableCell);
+  const rows = database.rows.map(row =>
+    database.columns.map(name => {
+      const value = extractPropertyValue(row.properties?.[name]);
+      if (value === null || value === undefined) return '';
+      return escapeTableCell(Array.isArray(value) ? value.join(', ') : String(value));
+    })
+  );
+
+  const lines = formatGfmTable(header, rows, header.length);
+  if (database.hasMore) {
+    lines.push('', `*Showing the first ${rows.length} rows.*`);
+  }
+  return lines;
+}
+
+/**
+ * Format a header and rows of escaped cells as GFM table lines
+ */
+function formatGfmTable(header, rows, minWidth = 0) {
+  const width = Math.max(minWidth || 0, header.length, ...rows.map(row => row.length));
+  const pad = row => Array.from({ length: width }, (_, i) => row[i] ?? '');
+  const formatRow = row => `| ${pad(row).join(' | ')} |`;
+
+  const lines = [formatRow(header)];
+  lines.push(`|${' --- |'.repeat(width)}`);
+  for (const row of rows) {
+    lines.push(formatRow(row));
+  }
+
+  return lines;
+}
+
+/**
+ * Prefix every line (used for blockquotes)
+ */
+function prefixLines(lines, prefix) {
+  return lines.map(line => (line ? `${prefix} ${line}` : prefix));
+}
+
+/**
+ * Build a notion.so URL from a page or block ID
+ */
+function notionUrl(id) {
+  return `https://www.notion.so/${id.replace(/-/g, '')}`;
+}
+
+/**
+ * Split block text into lines, escaping line starts Markdown would read as block syntax
+ */
+function textLines(text) {
+  return (text || '').split('\n').map(escapeLineStart);
+}
+
+/**
+ * Escape a list marker, heading, quote, fence, thematic break or setext underline
+ * at the start of a line, e.g. "- dash" → "\- dash", "1. one" → "1\. one"
+ */
+function escapeLineStart(line) {
+  if (/^ *([-*_])( *\1){2,} *$/.test(line) || /^ *=+ *$/.test(line)) {
+    return line.replace(/^( *)/, '$1\\');
+  }
+  return line
+    .replace(/^( *)([-+*](?=\s|$)|#{1,6}(?=\s|$)|>|`{3,}|~{3,})/, '$1\\$2')
+    .replace(/^( *\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+}
+
+/**
+ * Escape text used inside a link label
+ */
+function escapeLinkText(text) {
+  return (text || '').replace(/([[\]])/g, '\\$1').replace(/\n/g, ' ');
+}
+
+/**
+ * Escape a table cell (pipes and newlines would break the row)
+ */
+function escapeTableCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
@@ -0,0 +1,170 @@
+/**
+ * Mention Resolver
+ * Looks up titles and names that Notion doesn't supply in mention rich text
+ *
+ * Mentions of pages the integration can't see come through as "Untitled",
+ * and user mentions may read "@Anonymous". The resolver walks the page's text
+ * properties, its comments and the block tree before conversion, fetches
+ * what's missing and caches it for the whole extraction, so the same page or
+ * user is only requested once.
+ */
+
+import { richTextToPlain } from './notion-api.js';
+
+// Placeholders Notion uses when it can't name the target
+const UNRESOLVED_TEXT = ['', 'Untitled', '@Anonymous', 'Anonymous'];
+
+/**
+ * Create a mention resolver bound to an API client
+ * @param {Object} client - Client from createNotionClient
+ * @returns {Object} - { titles, resolvePage }
+ */
+export function createMentionResolver(client) {
+  // Object ID → resolved title or name (null when lookup failed)
+  const titles = new Map();
+
+  /**
+   * Look up a single mention target, once per extraction
+   */
+  async function resolve(type, id) {
+    if (!id || titles.has(id)) return;
+
+    // Reserve the entry so concurrent walks don't request it twice
+    titles.set(id, null);
+
+    try {
+      switch (type) {
+        case 'page': {
+          const page = await client.getPage(id);
+          titles.set(id, extractPageTitle(page));
+          break;
+        }
+        case 'database': {
+          const database = await client.getDatabase(id);
+          titles.set(id, richTextToPlain(database.title) || null);
+          break;
+        }
+        case 'user': {
+          const user = await client.getUser(id);
+          titles.set(id, user.name || null);
+          break;
+        }
+      }
+    } catch (error) {
+      // Not shared with the integration or no user capability: keep Notion's text
+      console.warn(`Could not resolve ${type} mention ${id}:`, error.message);
+    }
+  }
+
+  return {
+    titles,
+
+    /**
+     * Resolve every unnamed mention found in a page and its block tree
+     * @param {Object} page - Page object (properties, and comments when extracted)
+     * @param {Array} blocks - Blocks (with nested children)
+     * @returns {Promise<Map>} - The shared titles map
+     */
+    async resolvePage(page, blocks) {
+      const pending = collectPageMentions(page, blocks)
+        .filter(rt => needsResolution(rt))
+        .map(rt => {
+          const type = rt.mention.type;
+          return { type, id: rt.mention[type]?.id };
+        });
+
+      for (const { type, id } of pending) {
+        await resolve(type, id);
+      }
+
+      return titles;
+    }
+  };
+}
+
+/**
+ * Check whether Notion left a mention without a usable title or name
+ */
+function needsResolution(rt) {
+  const type = rt.mention?.type;
+  if (type === 'user') {
+    return !rt.mention.user?.name && UNRESOLVED_TEXT.includes((rt.plain_text || '').trim());
+  }
+  if (type === 'page' || type === 'database') {
+    return UNRESOLVED_TEXT.includes((rt.plain_text || '').trim());
+  }
+  return false;
+}
+
+/**
+ * Collect all mention segments of a page: text properties, comments and blocks
+ */
+function collectPageMentions(page, blocks, found = []) {
+  for (const [, prop] of Object.entries(page?.properties || {})) {
+    if (prop.type === 'title' || prop.type === 'rich_text') {
+      pushMentions(prop[prop.type], found);
+    }
+  }
+  collectCommentMentions(page?.comments, found);
+  return collectMentions(blocks, found);
+}
+
+/**
+ * Collect all mention segments from a block tree, comments and subpages included
+ */
+function collectMentions(blocks, found = []) {
+  for (const block of blocks || []) {
+    const payload = block[block.type] || {};
+    const richTexts = [
+      payload.rich_text,
+      payload.caption,
+      ...(payload.cells || [])
+    ];
+
+    for (const richText of richTexts) {
+      pushMentions(richText, found);
+    }
+    collectCommentMentions(block.comments, found);
+
+    if (block.children) {
+      collectMentions(block.children, found);
+    }
+    if (block.subpage) {
+      collectPageMentions(block.subpage.page, block.subpage.blocks, found);
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Collect the mention segments of comment threads (see comment-loader.js)
+ */
+function collectCommentMentions(threads, found) {
+  for (const thread of threads || []) {
+    for (const comment of thread.comments) {
+      pushMentions(comment.richText, found);
+    }
+  }
+}
+
+/**
+ * Add the mention segments of a rich text array
+ */
+function pushMentions(richText, found) {
+  for (const rt of richText || []) {
+    if (rt.type === 'mention') found.push(rt);
+  }
+}
+
+/**
+ * Extract title from a page object
+ */
+function extractPageTitle(page) {
+  for (const [, prop] of Object.entries(page.properties || {})) {
+    if (prop.type === 'title') {
+      return richTextToPlain(prop.title) || null;
+    }
+  }
+  return null;
+}
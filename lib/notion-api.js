@@ -6,12 +6,49 @@
 const NOTION_API_VERSION = '2022-06-28';
 const NOTION_API_BASE = 'https://api.notion.com/v1';
 
+// Notion allows an average of 3 requests per second per integration
+const DEFAULT_REQUESTS_PER_SECOND = 3;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Errors worth retrying: rate limits, conflicts and transient server errors
+const RETRYABLE_STATUSES = [409, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = [
+  'rate_limited',
+  'conflict_error',
+  'internal_server_error',
+  'service_unavailable',
+  'gateway_timeout',
+  'network_error'
+];
+
+// Blocks whose children are separate pages: the subpage and database loaders fetch those
+const PAGE_BLOCK_TYPES = ['child_page', 'child_database'];
+
 /**
  * Create a Notion API client
  * @param {string} apiKey - Notion Integration Token
+ * @param {Object} options - Client options
+ * @param {number} options.maxAttempts - Attempts per request, retries included (default: 4)
+ * @param {number} options.baseDelay - First retry delay in ms, doubled each attempt (default: 1000)
+ * @param {Object} options.rateLimiter - Limiter from createRateLimiter, shared by clients of the same token (default: 3 req/s)
+ * @param {number} options.concurrency - Maximum requests in flight (default: 4)
  * @returns {Object} - API client methods
  */
-export function createNotionClient(apiKey) {
+export function createNotionClient(apiKey, options = {}) {
+  const maxAttempts = Math.max(1, options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS);
+  const baseDelay = options.baseDelay ?? DEFAULT_BASE_DELAY_MS;
+  const rateLimiter = options.rateLimiter || createRateLimiter(DEFAULT_REQUESTS_PER_SECOND);
+  const pool = createRequestPool(options.concurrency ?? DEFAULT_CONCURRENCY);
+
+  // Usage statistics, reported with each extraction
+  const stats = {
+    requests: 0,
+    startedAt: Date.now()
+  };
+
   const headers = {
     'Authorization': `Bearer ${apiKey}`,
     'Notion-Version': NOTION_API_VERSION,
@@ -19,24 +56,67 @@ export function createNotionClient(apiKey) {
   };
 
   /**
-   * Make an API request
+   * Make an API request, retrying retryable errors with exponential backoff
    */
   async function request(endpoint, options = {}) {
-    const url = `${NOTION_API_BASE}${endpoint}`;
-    const response = await fetch(url, {
-      ...options,
-      headers: {
-        ...headers,
-        ...options.headers
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await send(endpoint, options);
+      } catch (error) {
+        if (!error.retryable || attempt >= maxAttempts) {
+          throw error;
+        }
+
+        // Honor Retry-After when Notion sends it, otherwise back off exponentially
+        const backoff = baseDelay * 2 ** (attempt - 1);
+        const delay = Math.min(
+          error.retryAfter != null ? error.retryAfter * 1000 : backoff + Math.random() * baseDelay,
+          MAX_DELAY_MS
+        );
+
+        console.warn(`Notion API ${error.status || error.code}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxAttempts})`);
+        await sleep(delay);
       }
+    }
+  }
+
+  /**
+   * Send a single API request through the pool and rate limiter
+   */
+  function send(endpoint, options = {}) {
+    return pool.run(async () => {
+      await rateLimiter.acquire();
+      stats.requests++;
+      return sendNow(endpoint, options);
     });
+  }
+
+  /**
+   * Send a single API request immediately
+   */
+  async function sendNow(endpoint, options = {}) {
+    const url = `${NOTION_API_BASE}${endpoint}`;
+    let response;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: {
+          ...headers,
+          ...options.headers
+        }
+      });
+    } catch (error) {
+      // fetch only rejects on network failures, which are usually transient
+      throw new NotionApiError(`Network error: ${error.message}`, 0, 'network_error');
+    }
 
     if (!response.ok) {
       const error = await response.json().catch(() => ({}));
       throw new NotionApiError(
         error.message || `API error: ${response.status}`,
         response.status,
-        error.code
+        error.code,
+        parseRetryAfter(response.headers.get('Retry-After'))
       );
     }
 
@@ -62,13 +142,111 @@ export function createNotionClient(apiKey) {
       return request(`/databases/${databaseId}`);
     },
 
+    /**
+     * Query database rows with pagination
+     * @param {string} databaseId - Database UUID
+     * @param {number} maxRows - Stop after this many rows (default: all)
+     * @returns {Promise<Object>} - { rows: Array of page objects, hasMore }
+     */
+    async queryDatabase(databaseId, maxRows = Infinity) {
+      const rows = [];
+      let cursor = undefined;
+
+      do {
+        const body = {
+          page_size: Math.min(100, maxRows - rows.length)
+        };
+        if (cursor) {
+          body.start_cursor = cursor;
+        }
+
+        const response = await request(`/databases/${databaseId}/query`, {
+          method: 'POST',
+          body: JSON.stringify(body)
+        });
+
+        rows.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor && rows.length < maxRows);
+
+      return {
+        rows: rows.slice(0, maxRows),
+        hasMore: Boolean(cursor)
+      };
+    },
+
+    /**
+     * Get a user (name and avatar)
+     * @param {string} userId - User UUID
+     * @returns {Promise<Object>} - User object
+     */
+    async getUser(userId) {
+      return request(`/users/${userId}`);
+    },
+
+    /**
+     * Get the comments of a page or block with pagination (needs the "Read comments" capability)
+     * @param {string} blockId - Page or block UUID
+     * @returns {Promise<Array>} - Comment objects, oldest first
+     */
+    async getComments(blockId) {
+      const comments = [];
+      let cursor = undefined;
+
+      do {
+        const params = new URLSearchParams();
+        params.set('block_id', blockId);
+        if (cursor) {
+          params.set('start_cursor', cursor);
+        }
+        params.set('page_size', '100');
+
+        const response = await request(`/comments?${params}`);
+        comments.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+
+      return comments;
+    },
+
+    /**
+     * Get the direct children of a page or block, without their own children
+     * @param {string} blockId - Page or block UUID
+     * @returns {Promise<Array>} - Child blocks in page order
+     */
+    async getBlockChildren(blockId) {
+      const blocks = [];
+      let cursor = undefined;
+
+      do {
+        const params = new URLSearchParams();
+        if (cursor) {
+          params.set('start_cursor', cursor);
+        }
+        params.set('page_size', '100');
+
+        const response = await request(`/blocks/${blockId}/children?${params}`);
+        blocks.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+
+      return blocks;
+    },
+
     /**
      * Get all blocks (content) from a page with pagination
+     *
+     * Sibling subtrees are fetched concurrently (bounded by the request pool),
+     * children are attached to their parent block so order is preserved.
+     * Child pages and databases are not descended into (see subpage-loader.js
+     * and database-loader.js).
+     *
      * @param {string} blockId - Page or block UUID
      * @returns {Promise<Array>} - Array of all blocks (recursive)
      */
     async getAllBlocks(blockId) {
       const allBlocks = [];
+      const pendingChildren = [];
       let cursor = undefined;
 
       do {
@@ -80,23 +258,40 @@ export function createNotionClient(apiKey) {
 
         const response = await request(`/blocks/${blockId}/children?${params}`);
 
-        // Process each block and fetch children if needed
         for (const block of response.results) {
           allBlocks.push(block);
 
-          // Recursively fetch children for blocks that have them
-          if (block.has_children) {
-            const children = await this.getAllBlocks(block.id);
-            block.children = children;
+          // Start fetching children right away, without waiting for siblings
+          if (block.has_children && !PAGE_BLOCK_TYPES.includes(block.type)) {
+            const pending = this.getAllBlocks(block.id).then(children => {
+              block.children = children;
+            });
+            // Awaited after pagination; if a later page fails first, the
+            // failure must not surface as an unhandled rejection
+            pending.catch(() => {});
+            pendingChildren.push(pending);
           }
         }
 
         cursor = response.has_more ? response.next_cursor : undefined;
       } while (cursor);
 
+      await Promise.all(pendingChildren);
+
       return allBlocks;
     },
 
+    /**
+     * Get request count and elapsed time since the client was created
+     * @returns {Object} - { requests, elapsedMs }
+     */
+    getStats() {
+      return {
+        requests: stats.requests,
+        elapsedMs: Date.now() - stats.startedAt
+      };
+    },
+
     /**
      * Test the API connection
      * @returns {Promise<Object>} - User info if successful
@@ -107,16 +302,112 @@ export function createNotionClient(apiKey) {
   };
 }
 
+/**
+ * Create a rate limiter spacing requests evenly
+ * Share one limiter between clients to share the request budget
+ * @param {number} requestsPerSecond - Maximum sustained request rate
+ * @returns {Object} - { acquire }
+ */
+export function createRateLimiter(requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND) {
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return {
+    /**
+     * Wait for the next request slot
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + interval;
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    }
+  };
+}
+
+/**
+ * Create a pool running at most `concurrency` tasks at once
+ * Tasks wait in FIFO order for a free slot
+ * @param {number} concurrency - Maximum tasks in flight
+ * @returns {Object} - { run }
+ */
+export function createRequestPool(concurrency = DEFAULT_CONCURRENCY) {
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= concurrency || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return {
+    /**
+     * Run a task when a slot is free
+     * @param {Function} task - async () => result
+     * @returns {Promise<*>} - Task result
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    }
+  };
+}
+
 /**
  * Custom error class for Notion API errors
  */
 export class NotionApiError extends Error {
-  constructor(message, status, code) {
+  constructor(message, status, code, retryAfter = null) {
     super(message);
     this.name = 'NotionApiError';
     this.status = status;
     this.code = code;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Whether the request may succeed if sent again
+   * (rate limits, conflicts, server and network errors)
+   */
+  get retryable() {
+    return RETRYABLE_STATUSES.includes(this.status) || RETRYABLE_CODES.includes(this.code);
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into seconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds);
   }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
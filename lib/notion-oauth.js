@@ -0,0 +1,86 @@
+/**
+ * Notion OAuth
+ * Sign-in for public integrations, without shipping the client secret
+ *
+ * Notion only hands out an access token in exchange for the authorization
+ * code plus the integration's client secret, which can't be kept secret in an
+ * extension. The exchange is delegated to an endpoint you host, which receives:
+ *
+ *   POST { "code": "…", "redirect_uri": "https://<extension-id>.chromiumapp.org/" }
+ *
+ * and answers with Notion's own token response (from POST /v1/oauth/token):
+ *
+ *   { "access_token": "ntn_…", "workspace_id": "…", "workspace_name": "Acme", "bot_id": "…" }
+ */
+
+const AUTHORIZE_URL = 'https://api.notion.com/v1/oauth/authorize';
+
+/**
+ * Build the URL of Notion's consent page
+ * @param {string} clientId - OAuth client ID of the public integration
+ * @param {string} redirectUri - Where Notion sends the user back (chrome.identity.getRedirectURL())
+ * @param {string} state - Random value echoed back, checked by readAuthorizationCode
+ * @returns {string} - Authorization URL
+ */
+export function buildAuthorizeUrl(clientId, redirectUri, state) {
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('owner', 'user');
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  return url.toString();
+}
+
+/**
+ * Read the authorization code from the URL Notion redirected to
+ * @param {string} responseUrl - Redirect URL, with the code or an error in its query
+ * @param {string} state - The state sent with the authorization request
+ * @returns {string} - Authorization code
+ */
+export function readAuthorizationCode(responseUrl, state) {
+  const params = new URL(responseUrl).searchParams;
+
+  const error = params.get('error');
+  if (error) {
+    throw new Error(error === 'access_denied' ? 'Access to Notion was not granted' : `Notion sign-in failed: ${error}`);
+  }
+  if (params.get('state') !== state) {
+    throw new Error('The sign-in response does not match the request. Please try again.');
+  }
+
+  const code = params.get('code');
+  if (!code) {
+    throw new Error('Notion did not return an authorization code');
+  }
+  return code;
+}
+
+/**
+ * Exchange an authorization code for an access token through the configured endpoint
+ * @param {string} endpoint - Token exchange endpoint URL
+ * @param {string} code - Authorization code
+ * @param {string} redirectUri - Redirect URI used for the authorization
+ * @param {Function} fetchFn - fetch-compatible function (default: global fetch)
+ * @returns {Promise<Object>} - { accessToken, workspaceId, workspaceName }
+ */
+export async function exchangeCode(endpoint, code, redirectUri, fetchFn = fetch) {
+  const response = await fetchFn(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code, redirect_uri: redirectUri })
+  });
+
+  const grant = await response.json().catch(() => ({}));
+  if (!response.ok || !grant.access_token) {
+    const reason = grant.error_description || grant.message || grant.error ||
+      (response.ok ? 'no access token in the response' : `HTTP ${response.status}`);
+    throw new Error(`The token exchange failed: ${reason}`);
+  }
+
+  return {
+    accessToken: grant.access_token,
+    workspaceId: grant.workspace_id || null,
+    workspaceName: grant.workspace_name || null
+  };
+}
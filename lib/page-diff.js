@@ -0,0 +1,126 @@
+/**
+ * Page Diff
+ * Compares a page with a snapshot of a previous extraction
+ *
+ * A snapshot keeps only what the comparison needs, small enough to be stored
+ * with every extraction in the history:
+ *
+ * {
+ *   properties: { [name]: value },   // title included, under "title"
+ *   blocks: [{ id, type, text, data }]
+ * }
+ *
+ * Blocks are matched by ID, at any depth: a block is added, removed, or
+ * modified when its type, text or other fields (checked, language, rows…)
+ * differ. Media URLs are left out: Notion signs file URLs for an hour only,
+ * so they change on every extraction.
+ */
+
+import { buildPageModel } from './page-model.js';
+
+// Node fields that are structure, presentation or optional extras (comments), not content
+const IGNORED_FIELDS = ['id', 'children', 'items', 'spans', 'page', 'comments'];
+
+/**
+ * Take a snapshot of a page for later comparison
+ * @param {Object} page - Page object from Notion API
+ * @param {Array} blocks - Blocks (with nested children)
+ * @returns {Object} - { properties, blocks }
+ */
+export function createSnapshot(page, blocks) {
+  const model = buildPageModel(page, blocks, { mediaUrls: false });
+  const snapshotBlocks = [];
+  collectBlocks(model.blocks, snapshotBlocks);
+
+  return {
+    properties: { title: model.meta.title, ...model.properties },
+    blocks: snapshotBlocks
+  };
+}
+
+/**
+ * Compare two snapshots
+ * @param {Object} previous - Snapshot of the earlier extraction
+ * @param {Object} current - Snapshot of the new extraction
+ * @returns {Object} - { properties: [{ name, before, after }], added, removed, modified }
+ *                     with added/removed as [{ id, type, text }] and modified as
+ *                     [{ id, type, before, after }] (texts)
+ */
+export function diffSnapshots(previous, current) {
+  const properties = [];
+  const names = new Set([...Object.keys(previous.properties), ...Object.keys(current.properties)]);
+  for (const name of names) {
+    const before = previous.properties[name] ?? null;
+    const after = current.properties[name] ?? null;
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      properties.push({ name, before, after });
+    }
+  }
+
+  const previousBlocks = new Map(previous.blocks.map(block => [block.id, block]));
+  const currentIds = new Set(current.blocks.map(block => block.id));
+
+  const added = [];
+  const modified = [];
+  for (const block of current.blocks) {
+    const before = previousBlocks.get(block.id);
+    if (!before) {
+      added.push({ id: block.id, type: block.type, text: block.text });
+    } else if (before.type !== block.type || before.data !== block.data) {
+      modified.push({ id: block.id, type: block.type, before: before.text, after: block.text });
+    }
+  }
+
+  const removed = previous.blocks
+    .filter(block => !currentIds.has(block.id))
+    .map(block => ({ id: block.id, type: block.type, text: block.text }));
+
+  return { properties, added, removed, modified };
+}
+
+/**
+ * Check if a diff found anything
+ * @param {Object} diff - Result of diffSnapshots
+ * @returns {boolean}
+ */
+export function hasChanges(diff) {
+  return diff.properties.length > 0 || diff.added.length > 0 ||
+    diff.removed.length > 0 || diff.modified.length > 0;
+}
+
+/**
+ * Flatten model nodes into snapshot blocks, list items included
+ */
+function collectBlocks(nodes, result) {
+  for (const node of nodes) {
+    if (node.items) {
+      collectBlocks(node.items, result);
+      continue;
+    }
+
+    result.push({
+      id: node.id,
+      type: node.type,
+      text: describeNode(node),
+      data: JSON.stringify(Object.fromEntries(
+        Object.entries(node).filter(([key]) => !IGNORED_FIELDS.includes(key))
+      ))
+    });
+
+    if (node.children) {
+      collectBlocks(node.children, result);
+    }
+  }
+}
+
+/**
+ * Short readable text of a node, for the change list
+ */
+function describeNode(node) {
+  if (node.text) return node.text;
+  if (node.title) return node.title;
+  if (node.expression) return node.expression;
+  if (node.caption || node.name) return node.caption || node.name;
+  if (node.rows) return `${node.rows.length} rows`;
+  return '';
+}
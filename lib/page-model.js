@@ -0,0 +1,376 @@
+/**
+ * Page Model
+ * Normalizes Notion API data into a stable, documented JSON tree
+ *
+ * The raw Notion payload is verbose and changes with API versions. The model
+ * keeps only what the other output formats render, in a shape scripts can
+ * rely on:
+ *
+ * {
+ *   version: 1,
+ *   meta: { id, title, url, created, updated },
+ *   properties: { [name]: value },      // simplified via extractPropertyValue
+ *   blocks: [Node],
+ *   comments: [Thread]                  // when extracted with comments
+ * }
+ *
+ * Thread: { discussionId, comments: [{ id, author, created, text, spans? }] }
+ *
+ * Node (one per block, or per run of list items):
+ *   type        - Notion block type, or 'bulleted_list' | 'numbered_list' | 'todo_list'
+ *   id          - Block ID (absent on list groups)
+ *   text        - Plain text content, when the block has rich text
+ *   spans       - Rich text segments { text, annotations?, href?, mention? }, only
+ *                 when some segment carries formatting, a link or a mention
+ *                 (mention: { type, id?, title?, name?, start?, end?, timeZone?, url? })
+ *   items       - List items (list groups only)
+ *   children    - Nested nodes
+ *   comments    - Comment threads on the block, when extracted with block comments
+ *   ...         - Type specific fields: checked, language, icon, url, caption,
+ *                 name, expression, title, target, hasHeader, rows (arrays of
+ *                 cell text for tables), columns + rows (objects keyed by
+ *                 column) + hasMore for queried child databases, page (a
+ *                 nested page model) for child pages and links extracted
+ *                 recursively
+ *
+ * Full-page databases use a sibling model:
+ *
+ * {
+ *   version: 1,
+ *   meta: { id, type: 'database', title, description, url, created, updated },
+ *   schema: { [name]: propertyType },  // in column order, title first
+ *   rows: [{ [name]: value }],
+ *   elided: "40 more rows"              // when rows were left out to fit the token budget
+ * }
+ */
+
+import { richTextToPlain, extractPropertyValue } from './notion-api.js';
+import { groupBlocks, getFileUrl } from './block-utils.js';
+import { describeMention, renderPropertyText } from './rich-text.js';
+import { getDatabaseColumns } from './database-loader.js';
+
+export const PAGE_MODEL_VERSION = 1;
+
+// Node type used for each run of list items
+const LIST_GROUP_TYPES = {
+  bulleted_list_item: 'bulleted_list',
+  numbered_list_item: 'numbered_list',
+  to_do: 'todo_list'
+};
+
+// Block types whose payload holds a rich_text array
+const TEXT_BLOCK_TYPES = [
+  'paragraph', 'heading_1', 'heading_2', 'heading_3',
+  'bulleted_list_item', 'numbered_list_item', 'to_do',
+  'toggle', 'code', 'quote', 'callout'
+];
+
+// Block types that point to a file or URL
+const MEDIA_BLOCK_TYPES = ['image', 'video', 'audio', 'file', 'pdf'];
+
+/**
+ * Build the normalized page model
+ * @param {Object} page - Page object from Notion API
+ * @param {Array} blocks - Array of block objects
+ * @param {Object} options - Model options
+ * @param {Map} options.mentionTitles - Resolved mention titles by object ID
+ * @param {boolean} options.includeMeta - Include page id, URL and dates (default true)
+ * @param {boolean} options.mediaUrls - Include URLs of media, files and embeds (default true)
+ * @returns {Object} - Normalized page model
+ */
+export function buildPageModel(page, blocks, options = {}) {
+  const meta = options.includeMeta === false
+    ? { title: extractTitle(page, options) }
+    : {
+      id: page.id,
+      title: extractTitle(page, options),
+      url: page.url || null,
+      created: page.created_time,
+      updated: page.last_edited_time
+    };
+
+  const model = {
+    version: PAGE_MODEL_VERSION,
+    meta,
+    properties: convertProperties(page.properties, false, options),
+    blocks: normalizeBlocks(blocks, options)
+  };
+
+  if (page.comments?.length > 0) {
+    model.comments = normalizeComments(page.comments, options);
+  }
+
+  return model;
+}
+
+/**
+ * Convert Notion page data to the JSON output format
+ * @param {Object} page - Page object from Notion API
+ * @param {Array} blocks - Array of block objects
+ * @param {Object} options - Model options (see buildPageModel)
+ * @param {Object} options.chunk - { index, total, section } when rendering one chunk of a page
+ * @returns {string} - Pretty-printed JSON
+ */
+export function convertToJson(page, blocks, options = {}) {
+  const model = buildPageModel(page, blocks, options);
+  // Position of this chunk and the headings it sits under (see chunker.js)
+  if (options.chunk) {
+    model.meta.chunk = { ...options.chunk };
+  }
+  return JSON.stringify(model, null, 2);
+}
+
+/**
+ * Build the normalized model of a full-page database
+ * @param {Object} database - Database object from Notion API
+ * @param {Array} rows - Page objects from queryDatabase
+ * @param {Object} options - Conversion options
+ * @param {string} options.elided - Summary of the rows left out to fit the token budget
+ * @returns {Object} - Normalized database model
+ */
+export function buildDatabaseModel(database, rows, options = {}) {
+  const schema = {};
+  for (const name of getDatabaseColumns(database)) {
+    schema[name] = database.properties[name].type;
+  }
+
+  const model = {
+    version: PAGE_MODEL_VERSION,
+    meta: {
+      id: database.id,
+      type: 'database',
+      title: richTextToPlain(database.title),
+      description: richTextToPlain(database.description) || null,
+      url: database.url || null,
+      created: database.created_time,
+      updated: database.last_edited_time
+    },
+    schema,
+    rows: rows.map(row => convertProperties(row.properties, true))
+  };
+
+  if (options.elided) {
+    model.elided = options.elided;
+  }
+
+  return model;
+}
+
+/**
+ * Convert a full-page database to the JSON output format
+ * @param {Object} database - Database object from Notion API
+ * @param {Array} rows - Page objects from queryDatabase
+ * @param {Object} options - Conversion options (see buildDatabaseModel)
+ * @returns {string} - Pretty-printed JSON
+ */
+export function convertDatabaseToJson(database, rows, options = {}) {
+  return JSON.stringify(buildDatabaseModel(database, rows, options), null, 2);
+}
+
+/**
+ * Combine several JSON documents into one `pages` list
+ * @param {Array<string>} documents - Outputs of convertToJson or convertDatabaseToJson
+ * @returns {string} - Pretty-printed JSON
+ */
+export function combineJsonDocuments(documents) {
+  return JSON.stringify({
+    version: PAGE_MODEL_VERSION,
+    pages: documents.map(document => JSON.parse(document))
+  }, null, 2);
+}
+
+/**
+ * Extract title from page properties, with resolved mention titles
+ */
+function extractTitle(page, options = {}) {
+  if (!page.properties) return null;
+
+  for (const [, prop] of Object.entries(page.properties)) {
+    if (prop.type === 'title') {
+      return renderPropertyText(prop, { ...options, richTextStyle: 'plain' });
+    }
+  }
+  return null;
+}
+
+/**
+ * Simplify page properties (title excluded unless asked, it's in meta)
+ * Text properties show resolved mention titles, like block text
+ */
+function convertProperties(properties, includeTitle = false, options = {}) {
+  const result = {};
+  if (!properties) return result;
+
+  for (const [name, prop] of Object.entries(properties)) {
+    if (prop.type === 'title' && !includeTitle) continue;
+    result[name] = renderPropertyText(prop, { ...options, richTextStyle: 'plain' }) ??
+      extractPropertyValue(prop) ?? null;
+  }
+
+  return result;
+}
+
+/**
+ * Normalize comment threads: rich text becomes text and, when useful, spans
+ */
+function normalizeComments(threads, options = {}) {
+  return threads.map(thread => ({
+    ...thread,
+    comments: thread.comments.map(({ richText, ...comment }) =>
+      richText ? { ...comment, ...normalizeRichText(richText, options) } : comment
+    )
+  }));
+}
+
+/**
+ * Normalize sibling blocks, grouping list runs like the TOON converter
+ * @param {Array} blocks - Sibling blocks
+ * @param {Object} options - Model options (see buildPageModel)
+ * @returns {Array<Object>} - Normalized nodes
+ */
+export function normalizeBlocks(blocks, options = {}) {
+  return groupBlocks(blocks).map(group => {
+    if (group.kind === 'list') {
+      return {
+        type: LIST_GROUP_TYPES[group.type],
+        items: group.items.map(item => normalizeBlock(item, options))
+      };
+    }
+    return normalizeBlock(group.block, options);
+  });
+}
+
+/**
+ * Normalize a single block
+ * @param {Object} block - Notion block
+ * @param {Object} options - Model options (see buildPageModel)
+ * @returns {Object} - Normalized node
+ */
+export function normalizeBlock(block, options = {}) {
+  const node = { type: block.type, id: block.id };
+  const payload = block[block.type] || {};
+
+  if (TEXT_BLOCK_TYPES.includes(block.type)) {
+    Object.assign(node, normalizeRichText(payload.rich_text, options));
+  }
+
+  if (MEDIA_BLOCK_TYPES.includes(block.type)) {
+    if (options.mediaUrls !== false) node.url = getFileUrl(payload);
+    if (payload.name) node.name = payload.name;
+  }
+
+  if (payload.caption?.length > 0) {
+    node.caption = richTextToPlain(payload.caption);
+  }
+
+  switch (block.type) {
+    case 'to_do':
+      node.checked = Boolean(payload.checked);
+      break;
+
+    case 'code':
+      node.language = payload.language || 'plain';
+      break;
+
+    case 'callout':
+      node.icon = payload.icon?.emoji || null;
+      break;
+
+    case 'bookmark':
+    case 'link_preview':
+    case 'embed':
+      if (options.mediaUrls !== false) node.url = payload.url || '';
+      break;
+
+    case 'equation':
+      node.expression = payload.expression || '';
+      break;
+
+    case 'child_page':
+      node.title = payload.title || 'Untitled';
+      // Attached by the subpage loader when extracting recursively
+      if (block.subpage?.page) {
+        node.page = buildPageModel(block.subpage.page, block.subpage.blocks, options);
+      }
+      break;
+
+    case 'child_database':
+      node.title = payload.title || 'Untitled';
+      // Rows are attached by loadChildDatabases when the database is queryable
+      if (block.database?.rows) {
+        node.title = block.database.title;
+        node.columns = block.database.columns;
+        node.rows = block.database.rows.map(row => convertProperties(row.properties, true));
+        node.hasMore = block.database.hasMore;
+      }
+      break;
+
+    case 'link_to_page':
+      node.target = payload.page_id || payload.database_id || null;
+      if (block.subpage?.page) {
+        node.page = buildPageModel(block.subpage.page, block.subpage.blocks, options);
+      }
+      break;
+
+    case 'elided':
+      // Content left out to fit the token budget (see token-budget.js)
+      node.summary = block.elided.summary;
+      break;
+
+    case 'table': {
+      const rows = (block.children || []).map(row =>
+        row.table_row?.cells?.map(cell => richTextToPlain(cell)) || []
+      );
+      node.hasHeader = Boolean(payload.has_column_header);
+      node.rows = rows;
+      break;
+    }
+  }
+
+  // Table rows are flattened into cells, don't emit them again as children
+  if (block.type !== 'table' && block.children && block.children.length > 0) {
+    node.children = normalizeBlocks(block.children, options);
+  }
+
+  if (block.comments) {
+    node.comments = normalizeComments(block.comments, options);
+  }
+
+  return node;
+}
+
+/**
+ * Normalize a rich text array into plain text and, when useful, spans
+ */
+function normalizeRichText(richTextArray, options = {}) {
+  const text = richTextToPlain(richTextArray);
+  const spans = (richTextArray || []).map(rt => {
+    const span = { text: rt.plain_text || '' };
+    const annotations = activeAnnotations(rt.annotations);
+    if (annotations) span.annotations = annotations;
+    if (rt.href) span.href = rt.href;
+    const mention = describeMention(rt, options.mentionTitles);
+    if (mention) span.mention = mention;
+    return span;
+  });
+
+  const hasFormatting = spans.some(span => span.annotations || span.href || span.mention);
+  return hasFormatting ? { text, spans } : { text };
+}
+
+/**
+ * Keep only the annotations that differ from Notion's defaults
+ */
+function activeAnnotations(annotations) {
+  if (!annotations) return null;
+
+  const active = {};
+  for (const key of ['bold', 'italic', 'strikethrough', 'underline', 'code']) {
+    if (annotations[key]) active[key] = true;
+  }
+  if (annotations.color && annotations.color !== 'default') {
+    active.color = annotations.color;
+  }
+
+  return Object.keys(active).length > 0 ? active : null;
+}
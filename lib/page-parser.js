@@ -6,6 +6,7 @@
  * - https://www.notion.so/Page-Title-abc123def456...
  * - https://notion.so/abc123def456...
  * - https://www.notion.so/workspace/abc123def456?v=...
+ * - https://www.notion.so/Page-Title-abc123def456#blockid... (block anchor, see extractBlockId)
  * - Direct page ID (32 hex chars with or without dashes)
  */
 
@@ -87,6 +88,25 @@ export function extractPageId(input) {
   }
 }
 
+/**
+ * Extract the block ID of a "Copy link to block" URL (the #fragment)
+ * @param {string} input - Notion URL
+ * @returns {string|null} - Formatted block ID (with dashes) or null if there is no anchor
+ */
+export function extractBlockId(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  try {
+    const url = new URL(input.trim());
+    const fragment = url.hash.slice(1).replace(/-/g, '');
+    return /^[a-f0-9]{32}$/i.test(fragment) ? formatAsUuid(fragment) : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Format 32 hex chars as UUID with dashes
  * @param {string} hex - 32 character hex string
@@ -97,6 +117,25 @@ function formatAsUuid(hex) {
   return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
 }
 
+/**
+ * Guess whether a Notion URL points to a page or a full-page database
+ *
+ * Database views carry a `v` query parameter (view ID). This is only a hint:
+ * both share the same URL format, so callers should fall back to the other
+ * type when the API says the object doesn't exist.
+ *
+ * @param {string} input - Notion URL or ID
+ * @returns {string} - 'database' or 'page'
+ */
+export function detectObjectType(input) {
+  try {
+    const url = new URL(input);
+    return url.searchParams.has('v') ? 'database' : 'page';
+  } catch {
+    return 'page';
+  }
+}
+
 /**
  * Check if a URL is a Notion page URL
  * @param {string} url - URL to check
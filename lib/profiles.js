@@ -0,0 +1,143 @@
+/**
+ * Extraction Profiles
+ * Named presets deciding which properties and blocks an extraction keeps
+ *
+ * Profile:
+ * {
+ *   id, name,
+ *   includeProperties: [name],     // only these properties (empty = all)
+ *   excludeProperties: [name],     // never these properties
+ *   excludePropertyTypes: [type],  // e.g. created_by, last_edited_time
+ *   excludeBlockTypes: [type],     // e.g. embed, breadcrumb, table_of_contents
+ *   mediaUrls: boolean,            // emit URLs of images, files, embeds…
+ *   includeMeta: boolean           // emit page id and dates (the title is always kept)
+ * }
+ *
+ * The title property is always kept: it names the page in every format.
+ */
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// Profiles available before the user creates any
+export const DEFAULT_PROFILES = [
+  {
+    id: DEFAULT_PROFILE_ID,
+    name: 'Everything',
+    includeProperties: [],
+    excludeProperties: [],
+    excludePropertyTypes: [],
+    excludeBlockTypes: [],
+    mediaUrls: true,
+    includeMeta: true
+  },
+  {
+    id: 'compact',
+    name: 'Compact',
+    includeProperties: [],
+    excludeProperties: [],
+    excludePropertyTypes: ['created_by', 'created_time', 'last_edited_by', 'last_edited_time'],
+    excludeBlockTypes: ['embed', 'breadcrumb', 'table_of_contents'],
+    mediaUrls: false,
+    includeMeta: true
+  }
+];
+
+/**
+ * Fill missing profile fields with their defaults
+ * @param {Object} profile - Stored or user-edited profile
+ * @returns {Object} - Complete profile
+ */
+export function normalizeProfile(profile) {
+  return {
+    ...DEFAULT_PROFILES[0],
+    ...profile,
+    includeProperties: toList(profile.includeProperties),
+    excludeProperties: toList(profile.excludeProperties),
+    excludePropertyTypes: toList(profile.excludePropertyTypes),
+    excludeBlockTypes: toList(profile.excludeBlockTypes)
+  };
+}
+
+/**
+ * Apply a profile to a page and its blocks, subpages included
+ * @param {Object} page - Page object from Notion API
+ * @param {Array} blocks - Blocks (with nested children and subpages)
+ * @param {Object} profile - Profile (see normalizeProfile)
+ * @returns {Object} - { page, blocks } filtered copies
+ */
+export function applyProfile(page, blocks, profile) {
+  return {
+    page: { ...page, properties: filterProperties(page.properties, profile) },
+    blocks: filterBlocks(blocks, profile)
+  };
+}
+
+/**
+ * Apply a profile's property filters to a full-page database: schema and rows
+ * @param {Object} database - Database object from Notion API
+ * @param {Array} rows - Row pages from queryDatabase
+ * @param {Object} profile - Profile (see normalizeProfile)
+ * @returns {Object} - { database, rows } filtered copies
+ */
+export function applyProfileToDatabase(database, rows, profile) {
+  return {
+    database: { ...database, properties: filterProperties(database.properties, profile) },
+    rows: rows.map(row => ({ ...row, properties: filterProperties(row.properties, profile) }))
+  };
+}
+
+/**
+ * Conversion options controlled by a profile
+ * @param {Object} profile - Profile (see normalizeProfile)
+ * @returns {Object} - { mediaUrls, includeMeta }
+ */
+export function getProfileOptions(profile) {
+  return {
+    mediaUrls: profile.mediaUrls,
+    includeMeta: profile.includeMeta
+  };
+}
+
+/**
+ * Keep the properties a profile allows
+ */
+function filterProperties(properties, profile) {
+  const { includeProperties, excludeProperties, excludePropertyTypes } = profile;
+
+  return Object.fromEntries(
+    Object.entries(properties || {}).filter(([name, prop]) => {
+      if (prop.type === 'title') return true;
+      if (includeProperties.length > 0 && !includeProperties.includes(name)) return false;
+      return !excludeProperties.includes(name) && !excludePropertyTypes.includes(prop.type);
+    })
+  );
+}
+
+/**
+ * Drop excluded block types (with everything nested under them)
+ */
+function filterBlocks(blocks, profile) {
+  return (blocks || [])
+    .filter(block => !profile.excludeBlockTypes.includes(block.type))
+    .map(block => {
+      let next = block;
+
+      if (block.children) {
+        next = { ...next, children: filterBlocks(block.children, profile) };
+      }
+      if (block.subpage?.page) {
+        next = { ...next, subpage: applyProfile(block.subpage.page, block.subpage.blocks, profile) };
+      }
+
+      return next;
+    });
+}
+
+/**
+ * Accept a list or a comma-separated string
+ */
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+  return [];
+}
@@ -0,0 +1,175 @@
+/**
+ * Rich Text Renderer
+ * Renders Notion rich text arrays, keeping links, inline formatting and mentions
+ */
+
+/**
+ * Supported rich text styles
+ * - markdown: **bold**, *italic*, ~~strike~~, `code` and [text](url) links
+ * - plain: text only, like richTextToPlain
+ */
+export const RICH_TEXT_STYLES = ['markdown', 'plain'];
+
+/**
+ * Render a rich text array to a string
+ *
+ * Mentions are rendered as typed references in markdown style:
+ * - @page[Title](id) / @database[Title](id)
+ * - @user[Name]
+ * - @date[start → end timezone]
+ * - @link[Title](url)
+ *
+ * @param {Array} richTextArray - Notion rich_text array
+ * @param {Object} options - Rendering options
+ * @param {string} options.richTextStyle - One of RICH_TEXT_STYLES (default: markdown)
+ * @param {Map} options.mentionTitles - Resolved titles/names by object ID (see mention-resolver.js)
+ * @returns {string} - Rendered text
+ */
+export function renderRichText(richTextArray, options = {}) {
+  if (!richTextArray || !Array.isArray(richTextArray)) {
+    return '';
+  }
+
+  if (options.richTextStyle === 'plain') {
+    return richTextArray.map(rt => renderPlainSegment(rt, options)).join('');
+  }
+
+  return richTextArray.map(rt => renderSegment(rt, options)).join('');
+}
+
+/**
+ * Render the text of a title or rich_text property, mentions included
+ * @param {Object} property - Page property
+ * @param {Object} options - Rendering options (see renderRichText)
+ * @returns {string|undefined} - Rendered text, undefined for other property types
+ */
+export function renderPropertyText(property, options = {}) {
+  if (property?.type !== 'title' && property?.type !== 'rich_text') return undefined;
+  return renderRichText(property[property.type], options);
+}
+
+/**
+ * Describe a mention as a plain object
+ * @param {Object} rt - Rich text segment of type 'mention'
+ * @param {Map} mentionTitles - Resolved titles/names by object ID
+ * @returns {Object|null} - { type, id?, title?, name?, start?, end?, timeZone?, url? }
+ */
+export function describeMention(rt, mentionTitles) {
+  const mention = rt?.type === 'mention' ? rt.mention : null;
+  if (!mention) return null;
+
+  switch (mention.type) {
+    case 'page':
+    case 'database': {
+      const id = mention[mention.type]?.id;
+      const title = mentionTitles?.get(id) || rt.plain_text || 'Untitled';
+      return { type: mention.type, id, title };
+    }
+
+    case 'user': {
+      const id = mention.user?.id;
+      const name = mentionTitles?.get(id) || mention.user?.name ||
+        (rt.plain_text || '').replace(/^@/, '') || id;
+      return { type: 'user', id, name };
+    }
+
+    case 'date':
+      return {
+        type: 'date',
+        start: mention.date?.start || null,
+        end: mention.date?.end || null,
+        timeZone: mention.date?.time_zone || null
+      };
+
+    case 'link_preview':
+    case 'link_mention': {
+      const url = mention[mention.type]?.url || rt.href || '';
+      const title = mention.link_mention?.title || rt.plain_text || url;
+      return { type: 'link', url, title };
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Render a single rich text segment with Markdown inline syntax
+ */
+function renderSegment(rt, options) {
+  const mention = describeMention(rt, options.mentionTitles);
+  const text = mention ? formatMention(mention) : (rt.plain_text || '');
+  if (!text.trim()) return text;
+
+  // Markers must hug the text: move surrounding whitespace outside of them
+  const [, leading, core, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  const annotations = rt.annotations || {};
+
+  let result = annotations.code ? wrapCode(core) : core;
+  if (annotations.strikethrough) result = `~~${result}~~`;
+  if (annotations.italic) result = `*${result}*`;
+  if (annotations.bold) result = `**${result}**`;
+
+  // Mentions already carry their target
+  if (rt.href && !mention) {
+    result = `[${result}](${rt.href})`;
+  }
+
+  return `${leading}${result}${trailing}`;
+}
+
+/**
+ * Render a single rich text segment as plain text
+ */
+function renderPlainSegment(rt, options) {
+  const mention = describeMention(rt, options.mentionTitles);
+  if (!mention) return rt.plain_text || '';
+
+  switch (mention.type) {
+    case 'user':
+      return `@${mention.name}`;
+    case 'date':
+      return formatDateRange(mention);
+    default:
+      return mention.title;
+  }
+}
+
+/**
+ * Format a mention as a typed reference
+ */
+function formatMention(mention) {
+  switch (mention.type) {
+    case 'page':
+    case 'database':
+      return `@${mention.type}[${mention.title}](${mention.id})`;
+    case 'user':
+      return `@user[${mention.name}]`;
+    case 'date':
+      return `@date[${formatDateRange(mention)}]`;
+    case 'link':
+      return `@link[${mention.title}](${mention.url})`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Format a date mention: "start", "start → end", with optional time zone
+ */
+function formatDateRange(mention) {
+  let result = mention.start || '';
+  if (mention.end) result += ` → ${mention.end}`;
+  if (mention.timeZone) result += ` ${mention.timeZone}`;
+  return result;
+}
+
+/**
+ * Wrap inline code, using a longer backtick run if the code contains backticks
+ */
+function wrapCode(code) {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = longestRun > 0 ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
@@ -0,0 +1,100 @@
+/**
+ * Subpage Loader
+ * Recursively fetches child pages (and optionally linked pages) of a page
+ */
+
+/**
+ * Create a subpage loader for one extraction
+ *
+ * Loaded pages are attached to their block as `subpage`:
+ * { page, blocks } when fetched, or { skipped: 'cycle' | 'limit' } /
+ * { error } otherwise. Converters render fetched subpages as nested sections.
+ *
+ * @param {Function} loadPage - async (pageId) => { page, blocks }
+ * @param {Object} options - Loader options
+ * @param {number} options.maxDepth - Levels of subpages to descend (1 = direct children)
+ * @param {number} options.maxPages - Maximum subpages fetched in total
+ * @param {boolean} options.followLinks - Also descend into link_to_page targets
+ * @param {Array<string>} options.visited - Page IDs already extracted (e.g. the root page)
+ * @returns {Object} - { loadChildPages }
+ */
+export function createSubpageLoader(loadPage, options = {}) {
+  const maxDepth = options.maxDepth ?? 1;
+  const maxPages = options.maxPages ?? 25;
+  const followLinks = options.followLinks ?? false;
+
+  // Pages already extracted, so linked pages referencing each other don't loop
+  const visited = new Set(options.visited || []);
+  let loadedCount = 0;
+
+  async function loadChildPages(blocks, depth = 1) {
+    if (depth > maxDepth) return;
+
+    // Breadth first, one level at a time: the page budget goes to shallow
+    // pages before deep ones
+    const loaded = [];
+
+    for (const block of findSubpageBlocks(blocks, followLinks)) {
+      const pageId = getTargetPageId(block);
+
+      if (visited.has(pageId)) {
+        block.subpage = { skipped: 'cycle' };
+        continue;
+      }
+
+      if (loadedCount >= maxPages) {
+        block.subpage = { skipped: 'limit' };
+        continue;
+      }
+
+      visited.add(pageId);
+      loadedCount++;
+
+      try {
+        block.subpage = await loadPage(pageId);
+        loaded.push(block.subpage);
+      } catch (error) {
+        console.warn(`Could not load subpage ${pageId}:`, error.message);
+        block.subpage = { error: error.message };
+      }
+    }
+
+    // The next level is the subpages of every page loaded at this one
+    if (loaded.length > 0) {
+      await loadChildPages(loaded.flatMap(subpage => subpage.blocks), depth + 1);
+    }
+  }
+
+  return {
+    /**
+     * Attach subpages to child_page (and link_to_page) blocks in a tree
+     * @param {Array} blocks - Blocks (with nested children)
+     * @returns {Promise<void>}
+     */
+    loadChildPages: blocks => loadChildPages(blocks, 1)
+  };
+}
+
+/**
+ * Get the page ID a subpage block points to
+ */
+function getTargetPageId(block) {
+  return block.type === 'child_page' ? block.id : block.link_to_page?.page_id;
+}
+
+/**
+ * Find blocks pointing to subpages, in document order (not inside subpages)
+ */
+function findSubpageBlocks(blocks, followLinks, found = []) {
+  for (const block of blocks || []) {
+    if (block.type === 'child_page') {
+      found.push(block);
+    } else if (followLinks && block.type === 'link_to_page' && block.link_to_page?.page_id) {
+      found.push(block);
+    }
+    if (block.children) {
+      findSubpageBlocks(block.children, followLinks, found);
+    }
+  }
+  return found;
+}
@@ -0,0 +1,312 @@
+/**
+ * Token Budget
+ * Shrinks a block tree until its converted output fits a maximum token count
+ *
+ * Content is given up from lowest to highest priority, one pass at a time,
+ * stopping as soon as the output fits:
+ *
+ * 1. media URLs (images, files, embeds…) are replaced by a short summary
+ * 2. long code blocks keep their first lines
+ * 3. inline database tables keep their first rows
+ * 4. nesting is cut, deepest level first (subpages included)
+ * 5. trailing top-level blocks are dropped
+ *
+ * Everything removed is replaced by an `elided` block saying what was left out,
+ * which every converter renders (TOON: `elided: 40 more lines of code`).
+ *
+ * Full-page databases have no block tree: they keep as many rows as fit.
+ */
+
+import { richTextToPlain } from './notion-api.js';
+import { estimateTokens } from './token-estimator.js';
+
+// Lines kept from a long code block
+const CODE_LINE_LIMIT = 20;
+
+// Rows kept from an inline database
+const DATABASE_ROW_LIMIT = 10;
+
+// Blocks that only point to a file or URL
+const MEDIA_BLOCK_TYPES = ['image', 'video', 'audio', 'file', 'pdf', 'embed', 'bookmark', 'link_preview'];
+
+// Blocks whose children are content rows rather than nesting
+const ROW_CONTAINER_TYPES = ['table'];
+
+/**
+ * Fit converted output into a token budget
+ * @param {Array} blocks - Blocks (with nested children, databases and subpages)
+ * @param {Function} render - (blocks) => output string
+ * @param {Object} options - Budget options
+ * @param {number} options.maxTokens - Maximum estimated tokens
+ * @param {string} options.tokenizer - Key of TOKENIZERS used to estimate
+ * @returns {Object} - { blocks, output, tokens, elided } (elided lists the passes applied)
+ */
+export function fitToTokenBudget(blocks, render, options = {}) {
+  const { maxTokens, tokenizer } = options;
+  const measure = candidate => {
+    const output = render(candidate);
+    return { output, tokens: estimateTokens(output, tokenizer) };
+  };
+
+  let current = blocks;
+  let result = measure(current);
+  const elided = [];
+
+  const passes = [
+    ['media', elideMedia],
+    ['code', truncateCode],
+    ['databases', truncateDatabases]
+  ];
+  for (let depth = maxDepth(blocks); depth >= 1; depth--) {
+    passes.push([`depth:${depth}`, tree => pruneDepth(tree, depth)]);
+  }
+
+  for (const [name, pass] of passes) {
+    if (result.tokens <= maxTokens) break;
+
+    const next = pass(current);
+    if (next === current) continue;
+
+    current = next;
+    result = measure(current);
+    elided.push(name);
+  }
+
+  if (result.tokens > maxTokens && current.length > 0) {
+    ({ current, result } = dropTrailingBlocks(current, measure, maxTokens));
+    elided.push('trailing');
+  }
+
+  return { blocks: current, output: result.output, tokens: result.tokens, elided };
+}
+
+/**
+ * Fit a full-page database into a token budget by dropping trailing rows
+ * @param {Array} rows - Row pages from queryDatabase
+ * @param {Function} render - (rows, elided) => output string, elided summarizing the rows left out (or null)
+ * @param {Object} options - Budget options (see fitToTokenBudget)
+ * @returns {Object} - { rows, output, tokens, elided } (elided lists the passes applied)
+ */
+export function fitRowsToTokenBudget(rows, render, options = {}) {
+  const { maxTokens, tokenizer } = options;
+  const measure = count => {
+    const dropped = rows.length - count;
+    const output = render(rows.slice(0, count), dropped > 0 ? `${dropped} more row${dropped === 1 ? '' : 's'}` : null);
+    return { output, tokens: estimateTokens(output, tokenizer) };
+  };
+
+  const result = measure(rows.length);
+  if (result.tokens <= maxTokens || rows.length === 0) {
+    return { rows, ...result, elided: [] };
+  }
+
+  // Binary search the largest prefix that fits, like dropTrailingBlocks
+  let low = 0;
+  let high = rows.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measure(mid).tokens <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return { rows: rows.slice(0, low), ...measure(low), elided: ['rows'] };
+}
+
+/**
+ * Create a marker block standing in for elided content
+ * @param {string} summary - What was left out, e.g. "3 nested blocks"
+ * @param {number} count - Blocks it replaces, so later passes count them (default 0)
+ * @returns {Object} - Block of type `elided`
+ */
+export function createElidedBlock(summary, count = 0) {
+  return { id: null, type: 'elided', elided: { summary, count }, has_children: false };
+}
+
+/**
+ * Replace media blocks by a summary without their URL
+ */
+function elideMedia(blocks) {
+  let changed = false;
+
+  const next = mapTree(blocks, block => {
+    if (!MEDIA_BLOCK_TYPES.includes(block.type)) return block;
+    changed = true;
+
+    const payload = block[block.type] || {};
+    const label = richTextToPlain(payload.caption) || payload.name || '';
+    const type = block.type.replace('_', ' ');
+    return createElidedBlock(label ? `${type} "${label}" (URL elided)` : `${type} (URL elided)`, 1);
+  });
+
+  return changed ? next : blocks;
+}
+
+/**
+ * Keep the first lines of long code blocks
+ */
+function truncateCode(blocks) {
+  let changed = false;
+
+  const next = mapTree(blocks, block => {
+    if (block.type !== 'code') return block;
+
+    const lines = richTextToPlain(block.code?.rich_text).split('\n');
+    if (lines.length <= CODE_LINE_LIMIT) return block;
+    changed = true;
+
+    const kept = lines.slice(0, CODE_LINE_LIMIT).join('\n');
+    const code = {
+      ...block.code,
+      rich_text: [{ type: 'text', text: { content: kept }, plain_text: kept }]
+    };
+    return [
+      { ...block, code },
+      createElidedBlock(`${lines.length - CODE_LINE_LIMIT} more lines of code`)
+    ];
+  });
+
+  return changed ? next : blocks;
+}
+
+/**
+ * Keep the first rows of inline databases
+ */
+function truncateDatabases(blocks) {
+  let changed = false;
+
+  const next = mapTree(blocks, block => {
+    const rows = block.database?.rows;
+    if (!rows || rows.length <= DATABASE_ROW_LIMIT) return block;
+    changed = true;
+
+    const database = { ...block.database, rows: rows.slice(0, DATABASE_ROW_LIMIT), hasMore: true };
+    return [
+      { ...block, database },
+      createElidedBlock(`${rows.length - DATABASE_ROW_LIMIT} more database rows`)
+    ];
+  });
+
+  return changed ? next : blocks;
+}
+
+/**
+ * Remove blocks nested deeper than `depth` levels (top-level blocks are level 0)
+ */
+function pruneDepth(blocks, depth, level = 0) {
+  let changed = false;
+
+  const next = blocks.flatMap(block => {
+    const nested = getNestedBlocks(block);
+    if (nested.length === 0) return [block];
+
+    if (level + 1 < depth) {
+      const pruned = pruneNested(block, child => pruneDepth(child, depth, level + 1));
+      if (pruned !== block) changed = true;
+      return [pruned];
+    }
+
+    // Children sit at the cut-off level: replace them with a marker
+    changed = true;
+    const count = countBlocks(nested);
+    const summary = `${count} nested block${count === 1 ? '' : 's'}`;
+
+    if (block.subpage?.blocks) {
+      // Subpages render from their own tree, keep the marker next to the link
+      const { subpage, ...rest } = block;
+      return [rest, createElidedBlock(`subpage: ${summary}`, count)];
+    }
+    return [{ ...block, children: [createElidedBlock(summary, count)] }];
+  });
+
+  return changed ? next : blocks;
+}
+
+/**
+ * Drop trailing top-level blocks, keeping as many as fit the budget
+ */
+function dropTrailingBlocks(blocks, measure, maxTokens) {
+  const withMarker = count => {
+    const dropped = blocks.length - count;
+    const summary = `${dropped} more block${dropped === 1 ? '' : 's'}`;
+    return [...blocks.slice(0, count), createElidedBlock(summary, dropped)];
+  };
+
+  // Binary search the largest prefix that fits
+  let low = 0;
+  let high = blocks.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (measure(withMarker(mid)).tokens <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const current = withMarker(low);
+  return { current, result: measure(current) };
+}
+
+/**
+ * Map every block of a tree (children and subpages included)
+ * The mapper returns a block, or an array of blocks to splice in its place
+ */
+function mapTree(blocks, mapper) {
+  return blocks.flatMap(block => {
+    const mapped = mapper(pruneNested(block, children => mapTree(children, mapper)));
+    return Array.isArray(mapped) ? mapped : [mapped];
+  });
+}
+
+/**
+ * Apply a transformation to a block's nested blocks, copying only what changed
+ */
+function pruneNested(block, transform) {
+  let next = block;
+
+  if (block.children && !ROW_CONTAINER_TYPES.includes(block.type)) {
+    const children = transform(block.children);
+    if (children !== block.children) next = { ...next, children };
+  }
+
+  if (block.subpage?.blocks) {
+    const subpageBlocks = transform(block.subpage.blocks);
+    if (subpageBlocks !== block.subpage.blocks) {
+      next = { ...next, subpage: { ...block.subpage, blocks: subpageBlocks } };
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Get the blocks nested under a block (children or subpage content)
+ */
+function getNestedBlocks(block) {
+  if (block.subpage?.blocks) return block.subpage.blocks;
+  if (ROW_CONTAINER_TYPES.includes(block.type)) return [];
+  return block.children || [];
+}
+
+/**
+ * Count blocks in a tree, including those already replaced by markers
+ */
+function countBlocks(blocks) {
+  return blocks.reduce((count, block) => {
+    const own = block.type === 'elided' ? block.elided.count : 1;
+    return count + own + countBlocks(getNestedBlocks(block));
+  }, 0);
+}
+
+/**
+ * Get the deepest nesting level of a tree
+ */
+function maxDepth(blocks) {
+  return blocks.reduce((depth, block) => {
+    const nested = getNestedBlocks(block);
+    return nested.length > 0 ? Math.max(depth, 1 + maxDepth(nested)) : depth;
+  }, 0);
+}
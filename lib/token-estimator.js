@@ -0,0 +1,62 @@
+/**
+ * Token Estimator
+ * Approximates how many LLM tokens a text costs, without shipping a tokenizer
+ *
+ * Text is split into pre-tokenizer pieces (words, digit groups, punctuation,
+ * whitespace) like BPE tokenizers do; each piece then costs one token per
+ * `charsPerToken` characters. Good to about ±10% on prose and TOON.
+ */
+
+// Tokenizer approximations, keyed by the id stored in settings
+export const TOKENIZERS = {
+  cl100k: { label: 'GPT-4 / GPT-3.5 (cl100k)', charsPerToken: 4, nonAsciiCharsPerToken: 1.5 },
+  o200k: { label: 'GPT-4o (o200k)', charsPerToken: 4.5, nonAsciiCharsPerToken: 2 },
+  claude: { label: 'Claude', charsPerToken: 3.5, nonAsciiCharsPerToken: 1.2 },
+  chars: { label: 'Characters ÷ 4', charsPerToken: 4, nonAsciiCharsPerToken: 4, simple: true }
+};
+
+export const DEFAULT_TOKENIZER = 'cl100k';
+
+// Pre-tokenizer pieces: a word with its leading space, up to 3 digits,
+// a punctuation run, or a whitespace run
+const PIECE_PATTERN = / ?[A-Za-z]+| ?[0-9]{1,3}| ?[^\sA-Za-z0-9]+|\s+/g;
+
+// Characters outside ASCII (accents, CJK, emoji) cost more tokens each
+const NON_ASCII_PATTERN = /[^\x00-\x7f]/g;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @param {string} tokenizer - Key of TOKENIZERS (default cl100k)
+ * @returns {number} - Estimated token count
+ */
+export function estimateTokens(text, tokenizer = DEFAULT_TOKENIZER) {
+  if (!text) return 0;
+  const config = TOKENIZERS[tokenizer] || TOKENIZERS[DEFAULT_TOKENIZER];
+
+  if (config.simple) {
+    return Math.ceil(text.length / config.charsPerToken);
+  }
+
+  let tokens = 0;
+  for (const piece of text.match(PIECE_PATTERN) || []) {
+    const nonAscii = (piece.match(NON_ASCII_PATTERN) || []).length;
+    const ascii = piece.length - nonAscii;
+    tokens += Math.max(1, Math.ceil(ascii / config.charsPerToken + nonAscii / config.nonAsciiCharsPerToken));
+  }
+  return tokens;
+}
+
+/**
+ * Compare the size of an output with its JSON equivalent
+ * @param {string} output - Extracted output
+ * @param {string} json - Same content as JSON
+ * @param {string} tokenizer - Key of TOKENIZERS
+ * @returns {Object} - { tokenizer, tokens, jsonTokens, savings } (savings in %, negative if larger)
+ */
+export function compareWithJson(output, json, tokenizer = DEFAULT_TOKENIZER) {
+  const tokens = estimateTokens(output, tokenizer);
+  const jsonTokens = estimateTokens(json, tokenizer);
+  const savings = jsonTokens > 0 ? Math.round((1 - tokens / jsonTokens) * 100) : 0;
+  return { tokenizer, tokens, jsonTokens, savings };
+}
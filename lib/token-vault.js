@@ -0,0 +1,134 @@
+/**
+ * Token Vault
+ * Encrypts API tokens with a passphrase (PBKDF2-derived AES-GCM key, WebCrypto)
+ *
+ * Envelope, stored instead of the tokens:
+ * {
+ *   version: 1,
+ *   salt, iterations,   // PBKDF2 parameters, fixed until the passphrase changes
+ *   iv, data            // AES-GCM ciphertext of the secrets as JSON (base64)
+ * }
+ *
+ * Unlocking yields the derived key, which can be kept for the session: the
+ * passphrase itself is never stored.
+ */
+
+const VERSION = 1;
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Create an empty vault for a passphrase
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<Object>} - { envelope, key } (seal secrets into the envelope with sealVault)
+ */
+export async function createVault(passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const envelope = { version: VERSION, salt: toBase64(salt), iterations: PBKDF2_ITERATIONS };
+  return { envelope, key: await deriveKey(passphrase, envelope) };
+}
+
+/**
+ * Encrypt secrets into a vault, with a fresh IV
+ * @param {Object} envelope - Envelope from createVault (or a sealed one)
+ * @param {CryptoKey} key - Key of the envelope
+ * @param {Object} secrets - JSON-serializable secrets
+ * @returns {Promise<Object>} - Sealed envelope
+ */
+export async function sealVault(envelope, key, secrets) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(secrets)));
+  return {
+    version: VERSION,
+    salt: envelope.salt,
+    iterations: envelope.iterations,
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  };
+}
+
+/**
+ * Decrypt the secrets of a vault
+ * @param {Object} envelope - Sealed envelope
+ * @param {CryptoKey} key - Key from unlockVault or importKey
+ * @returns {Promise<Object>} - Secrets
+ */
+export async function openVault(envelope, key) {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+    return JSON.parse(decoder.decode(data));
+  } catch {
+    // AES-GCM authenticates: any other key (or altered data) fails here
+    throw new Error('Wrong passphrase');
+  }
+}
+
+/**
+ * Derive the key of a vault from a passphrase, checking it opens the vault
+ * @param {Object} envelope - Sealed envelope
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<CryptoKey>} - Key of the vault
+ */
+export async function unlockVault(envelope, passphrase) {
+  const key = await deriveKey(passphrase, envelope);
+  await openVault(envelope, key);
+  return key;
+}
+
+/**
+ * Export a vault key to keep it for the session
+ * @param {CryptoKey} key - Vault key
+ * @returns {Promise<string>} - Raw key (base64)
+ */
+export async function exportKey(key) {
+  return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+/**
+ * Import a vault key kept for the session
+ * @param {string} raw - Raw key (base64) from exportKey
+ * @returns {Promise<CryptoKey>}
+ */
+export function importKey(raw) {
+  return crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with the envelope's salt and iterations
+ */
+async function deriveKey(passphrase, envelope) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(envelope.salt), iterations: envelope.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    // Extractable, so it can be kept in session storage
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encode bytes as base64
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Decode base64 into bytes
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
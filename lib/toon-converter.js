@@ -4,30 +4,176 @@
  */
 
 import { richTextToPlain, extractPropertyValue } from './notion-api.js';
+import { groupBlocks, getFileUrl } from './block-utils.js';
+import { renderRichText, renderPropertyText } from './rich-text.js';
+import { getDatabaseColumns } from './database-loader.js';
+
+// Delimiter of inline arrays and tabular rows
+const DELIMITER = ',';
+
+// Keys that can be written without quotes
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+
+// Values that need quotes: structural characters or a leading list marker
+const STRUCTURAL_PATTERN = /[:"\\[\]{}\n\r\t]|^[-#]/;
+
+// Strings that would otherwise be read as true/false/null or a number
+const LITERAL_PATTERN = /^(?:true|false|null|-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)$/i;
 
 /**
  * Convert Notion page data to TOON format
  * @param {Object} page - Page object from Notion API
  * @param {Array} blocks - Array of block objects
+ * @param {Object} options - Conversion options
+ * @param {string} options.richTextStyle - 'markdown' (default) or 'plain'
+ * @param {Map} options.mentionTitles - Resolved mention titles by object ID
+ * @param {Object} options.chunk - { index, total, section } when rendering one chunk of a page
+ * @param {boolean} options.includeMeta - Emit the meta section (default true)
+ * @param {boolean} options.mediaUrls - Emit URLs of media, files and embeds (default true)
  * @returns {string} - TOON formatted string
  */
-export function convertToToon(page, blocks) {
+export function convertToToon(page, blocks, options = {}) {
+  return convertPage(page, blocks, options, options.chunk).join('\n');
+}
+
+/**
+ * Convert a full-page database to TOON format
+ * @param {Object} database - Database object from Notion API
+ * @param {Array} rows - Page objects from queryDatabase
+ * @param {Object} options - Conversion options
+ * @param {string} options.elided - Summary of the rows left out to fit the token budget
+ * @returns {string} - TOON formatted string
+ */
+export function convertDatabaseToToon(database, rows, options = {}) {
   const lines = [];
+  const columns = getDatabaseColumns(database);
 
   // Meta section
   lines.push('meta:');
-  lines.push(`  id: ${page.id}`);
-  lines.push(`  created: ${page.created_time}`);
-  lines.push(`  updated: ${page.last_edited_time}`);
+  lines.push(`  id: ${quoteValue(database.id)}`);
+  lines.push('  type: database');
+  lines.push(`  created: ${quoteValue(database.created_time)}`);
+  lines.push(`  updated: ${quoteValue(database.last_edited_time)}`);
+
+  const title = richTextToPlain(database.title);
+  if (title) {
+    lines.push(`  title: ${quoteValue(title)}`);
+  }
+
+  const description = richTextToPlain(database.description);
+  if (description) {
+    lines.push(`  description: ${quoteValue(description)}`);
+  }
+
+  // Schema section: property types in column order
+  if (columns.length > 0) {
+    lines.push('schema:');
+    for (const name of columns) {
+      lines.push(`  ${formatKey(name)}: ${database.properties[name].type}`);
+    }
+  }
+
+  // Rows as a single table
+  lines.push(...formatDatabase({ columns, rows }, '', 'rows'));
+  if (options.elided) {
+    lines.push(`elided: ${quoteValue(options.elided)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert the changes since a previous extraction to a TOON `changes:` section
+ * @param {Object} diff - Result of diffSnapshots (see page-diff.js)
+ * @param {string} since - ISO time of the previous extraction
+ * @returns {string} - TOON formatted string
+ */
+export function convertChangesToToon(diff, since) {
+  const lines = ['changes:', `  since: ${quoteValue(since)}`];
+
+  const tables = [
+    ['properties', ['name', 'before', 'after'], diff.properties.map(change => [
+      formatCell(change.name), formatCellValue(change.before), formatCellValue(change.after)
+    ])],
+    ['added', ['id', 'type', 'text'], diff.added.map(block => [
+      formatCell(block.id), block.type, formatCell(block.text)
+    ])],
+    ['removed', ['id', 'type', 'text'], diff.removed.map(block => [
+      formatCell(block.id), block.type, formatCell(block.text)
+    ])],
+    ['modified', ['id', 'type', 'before', 'after'], diff.modified.map(block => [
+      formatCell(block.id), block.type, formatCell(block.before), formatCell(block.after)
+    ])]
+  ];
+
+  // Empty tables are left out: no key means nothing changed there
+  for (const [key, headers, rows] of tables) {
+    if (rows.length === 0) continue;
+    lines.push(`  ${key}[${rows.length}]{${headers.join(DELIMITER)}}:`);
+    for (const cells of rows) {
+      lines.push(`    ${cells.join(DELIMITER)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Combine several TOON documents into one `pages[N]` list
+ * @param {Array<string>} documents - Outputs of convertToToon or convertDatabaseToToon
+ * @returns {string} - TOON formatted string
+ */
+export function combineToonDocuments(documents) {
+  const lines = [`pages[${documents.length}]:`];
+
+  for (const document of documents) {
+    // Each document becomes a list item: its first key sits on the hyphen line
+    const [first, ...rest] = document.split('\n');
+    lines.push(`  - ${first}`);
+    for (const line of rest) {
+      lines.push(`    ${line}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert a page to TOON lines (meta, properties and content sections)
+ * Also used for subpages, which are nested under their block
+ */
+function convertPage(page, blocks, options = {}, chunk = null) {
+  const lines = [];
+
+  // Meta section (a profile can leave out the id and dates)
+  const meta = [];
+  if (options.includeMeta !== false) {
+    meta.push(`  id: ${quoteValue(page.id)}`);
+    meta.push(`  created: ${quoteValue(page.created_time)}`);
+    meta.push(`  updated: ${quoteValue(page.last_edited_time)}`);
+  }
 
   // Extract title from properties
-  const title = extractTitle(page);
+  const title = extractTitle(page, options);
   if (title) {
-    lines.push(`  title: ${escapeValue(title)}`);
+    meta.push(`  title: ${quoteValue(title)}`);
+  }
+
+  // Position of this chunk and the headings it sits under (see chunker.js)
+  if (chunk) {
+    meta.push(`  chunk: ${chunk.index}/${chunk.total}`);
+    if (chunk.section.length > 0) {
+      const section = chunk.section.map(heading => quoteValue(heading, DELIMITER)).join(DELIMITER);
+      meta.push(`  section[${chunk.section.length}]: ${section}`);
+    }
+  }
+
+  if (meta.length > 0) {
+    lines.push('meta:', ...meta);
   }
 
   // Properties section (for database pages)
-  const properties = convertProperties(page.properties);
+  const properties = convertProperties(page.properties, options);
   if (properties.length > 0) {
     lines.push('properties:');
     for (const prop of properties) {
@@ -36,7 +182,7 @@ export function convertToToon(page, blocks) {
   }
 
   // Content section
-  const content = convertBlocks(blocks);
+  const content = convertBlocks(blocks, 0, options);
   if (content.length > 0) {
     lines.push('content:');
     for (const line of content) {
@@ -44,18 +190,21 @@ export function convertToToon(page, blocks) {
     }
   }
 
-  return lines.join('\n');
+  // Comments on the page itself (see comment-loader.js)
+  lines.push(...formatComments(page.comments, '', options));
+
+  return lines;
 }
 
 /**
- * Extract title from page properties
+ * Extract title from page properties, with resolved mention titles
  */
-function extractTitle(page) {
+function extractTitle(page, options = {}) {
   if (!page.properties) return null;
 
   for (const [, prop] of Object.entries(page.properties)) {
     if (prop.type === 'title') {
-      return richTextToPlain(prop.title);
+      return renderPropertyText(prop, { ...options, richTextStyle: 'plain' });
     }
   }
   return null;
@@ -63,8 +212,9 @@ function extractTitle(page) {
 
 /**
  * Convert page properties to TOON format
+ * Text properties are rendered like block text, mentions included
  */
-function convertProperties(properties) {
+function convertProperties(properties, options = {}) {
   if (!properties) return [];
 
   const lines = [];
@@ -73,23 +223,28 @@ function convertProperties(properties) {
     // Skip title as it's in meta
     if (prop.type === 'title') continue;
 
-    const value = extractPropertyValue(prop);
+    const value = renderPropertyText(prop, options) ?? extractPropertyValue(prop);
     if (value === null || value === undefined || value === '') continue;
 
-    const formattedValue = formatPropertyValue(value);
-    lines.push(`${name}: ${formattedValue}`);
+    // Arrays use the inline form: key[N]: a,b,c
+    if (Array.isArray(value)) {
+      const items = value.map(v => formatPropertyValue(v, DELIMITER)).join(DELIMITER);
+      lines.push(`${formatKey(name)}[${value.length}]:${items ? ` ${items}` : ''}`);
+    } else {
+      lines.push(`${formatKey(name)}: ${formatPropertyValue(value)}`);
+    }
   }
 
   return lines;
 }
 
 /**
- * Format a property value for TOON output
+ * Format a primitive property value for TOON output
+ * Numbers, booleans and null stay bare, strings are quoted when needed
  */
-function formatPropertyValue(value) {
-  if (Array.isArray(value)) {
-    if (value.length === 0) return '[]';
-    return `[${value.map(v => escapeValue(String(v))).join(', ')}]`;
+function formatPropertyValue(value, delimiter = null) {
+  if (value === null || value === undefined) {
+    return 'null';
   }
 
   if (typeof value === 'boolean') {
@@ -100,42 +255,35 @@ function formatPropertyValue(value) {
     return String(value);
   }
 
-  return escapeValue(String(value));
+  return quoteValue(String(value), delimiter);
 }
 
 /**
  * Convert blocks to TOON format
  */
-function convertBlocks(blocks, indent = 0) {
+function convertBlocks(blocks, indent = 0, options = {}) {
   if (!blocks || blocks.length === 0) return [];
 
   const lines = [];
   const indentStr = '  '.repeat(indent);
 
   // Group consecutive similar blocks for tabular format
-  let i = 0;
-  while (i < blocks.length) {
-    const block = blocks[i];
-
-    // Check for list items that can be grouped
-    if (isListItem(block)) {
-      const listItems = collectListItems(blocks, i);
-      lines.push(...formatListItems(listItems, indentStr));
-      i += listItems.length;
+  for (const group of groupBlocks(blocks)) {
+    if (group.kind === 'list') {
+      lines.push(...formatListItems(group.items, indentStr, options));
       continue;
     }
 
     // Check for table
-    if (block.type === 'table') {
-      lines.push(...formatTable(block, indentStr));
-      i++;
-      continue;
+    if (group.block.type === 'table') {
+      lines.push(...formatTable(group.block, indentStr, options));
+    } else {
+      // Regular block
+      lines.push(...convertBlock(group.block, indent, options));
     }
 
-    // Regular block
-    const blockLines = convertBlock(block, indent);
-    lines.push(...blockLines);
-    i++;
+    // Comments on the block come right after it
+    lines.push(...formatComments(group.block.comments, indentStr, options));
   }
 
   return lines;
@@ -144,93 +292,93 @@ function convertBlocks(blocks, indent = 0) {
 /**
  * Convert a single block to TOON format
  */
-function convertBlock(block, indent = 0) {
+function convertBlock(block, indent = 0, options = {}) {
   const lines = [];
   const indentStr = '  '.repeat(indent);
 
   switch (block.type) {
     case 'paragraph': {
-      const text = richTextToPlain(block.paragraph?.rich_text);
+      const text = renderRichText(block.paragraph?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}p: ${escapeValue(text)}`);
+        lines.push(`${indentStr}p: ${quoteValue(text)}`);
       }
       break;
     }
 
     case 'heading_1': {
-      const text = richTextToPlain(block.heading_1?.rich_text);
+      const text = renderRichText(block.heading_1?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}h1: ${escapeValue(text)}`);
+        lines.push(`${indentStr}h1: ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'heading_2': {
-      const text = richTextToPlain(block.heading_2?.rich_text);
+      const text = renderRichText(block.heading_2?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}h2: ${escapeValue(text)}`);
+        lines.push(`${indentStr}h2: ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'heading_3': {
-      const text = richTextToPlain(block.heading_3?.rich_text);
+      const text = renderRichText(block.heading_3?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}h3: ${escapeValue(text)}`);
+        lines.push(`${indentStr}h3: ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'bulleted_list_item': {
-      const text = richTextToPlain(block.bulleted_list_item?.rich_text);
+      const text = renderRichText(block.bulleted_list_item?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}- ${escapeValue(text)}`);
+        lines.push(`${indentStr}- ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'numbered_list_item': {
-      const text = richTextToPlain(block.numbered_list_item?.rich_text);
+      const text = renderRichText(block.numbered_list_item?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}# ${escapeValue(text)}`);
+        lines.push(`${indentStr}# ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'to_do': {
-      const text = richTextToPlain(block.to_do?.rich_text);
+      const text = renderRichText(block.to_do?.rich_text, options);
       const checked = block.to_do?.checked ? '[x]' : '[ ]';
       if (text) {
-        lines.push(`${indentStr}${checked} ${escapeValue(text)}`);
+        lines.push(`${indentStr}${checked} ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'toggle': {
-      const text = richTextToPlain(block.toggle?.rich_text);
+      const text = renderRichText(block.toggle?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}toggle: ${escapeValue(text)}`);
+        lines.push(`${indentStr}toggle: ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
@@ -249,24 +397,24 @@ function convertBlock(block, indent = 0) {
     }
 
     case 'quote': {
-      const text = richTextToPlain(block.quote?.rich_text);
+      const text = renderRichText(block.quote?.rich_text, options);
       if (text) {
-        lines.push(`${indentStr}quote: ${escapeValue(text)}`);
+        lines.push(`${indentStr}quote: ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
 
     case 'callout': {
-      const text = richTextToPlain(block.callout?.rich_text);
+      const text = renderRichText(block.callout?.rich_text, options);
       const icon = block.callout?.icon?.emoji || '💡';
       if (text) {
-        lines.push(`${indentStr}callout[${icon}]: ${escapeValue(text)}`);
+        lines.push(`${indentStr}callout[${icon}]: ${quoteValue(text)}`);
       }
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent + 1));
+        lines.push(...convertBlocks(block.children, indent + 1, options));
       }
       break;
     }
@@ -276,61 +424,58 @@ function convertBlock(block, indent = 0) {
       break;
 
     case 'image': {
-      const url = block.image?.file?.url || block.image?.external?.url || '';
-      const caption = richTextToPlain(block.image?.caption);
-      if (caption) {
-        lines.push(`${indentStr}image: ${escapeValue(caption)}`);
+      const url = mediaUrl(getFileUrl(block.image), options);
+      const caption = renderRichText(block.image?.caption, options);
+      if (caption || url) {
+        lines.push(`${indentStr}image: ${quoteValue(caption || url)}`);
       } else {
-        lines.push(`${indentStr}image: ${url}`);
+        lines.push(`${indentStr}[image]`);
       }
       break;
     }
 
     case 'video': {
-      const url = block.video?.file?.url || block.video?.external?.url || '';
-      lines.push(`${indentStr}video: ${url}`);
+      const url = mediaUrl(getFileUrl(block.video), options);
+      lines.push(url ? `${indentStr}video: ${quoteValue(url)}` : `${indentStr}[video]`);
       break;
     }
 
     case 'file': {
-      const url = block.file?.file?.url || block.file?.external?.url || '';
+      const url = mediaUrl(getFileUrl(block.file), options);
       const name = block.file?.name || 'file';
-      lines.push(`${indentStr}file[${name}]: ${url}`);
+      lines.push(`${indentStr}file[${quoteValue(name)}]:${url ? ` ${quoteValue(url)}` : ''}`);
       break;
     }
 
     case 'pdf': {
-      const url = block.pdf?.file?.url || block.pdf?.external?.url || '';
-      lines.push(`${indentStr}pdf: ${url}`);
+      const url = mediaUrl(getFileUrl(block.pdf), options);
+      lines.push(url ? `${indentStr}pdf: ${quoteValue(url)}` : `${indentStr}[pdf]`);
       break;
     }
 
     case 'bookmark': {
-      const url = block.bookmark?.url || '';
-      const caption = richTextToPlain(block.bookmark?.caption);
-      if (caption) {
-        lines.push(`${indentStr}bookmark: ${escapeValue(caption)} (${url})`);
-      } else {
-        lines.push(`${indentStr}bookmark: ${url}`);
-      }
+      const url = mediaUrl(block.bookmark?.url || '', options);
+      const caption = renderRichText(block.bookmark?.caption, options);
+      const text = caption && url ? `${caption} (${url})` : caption || url;
+      lines.push(text ? `${indentStr}bookmark: ${quoteValue(text)}` : `${indentStr}[bookmark]`);
       break;
     }
 
     case 'link_preview': {
-      const url = block.link_preview?.url || '';
-      lines.push(`${indentStr}link: ${url}`);
+      const url = mediaUrl(block.link_preview?.url || '', options);
+      lines.push(url ? `${indentStr}link: ${quoteValue(url)}` : `${indentStr}[link_preview]`);
       break;
     }
 
     case 'embed': {
-      const url = block.embed?.url || '';
-      lines.push(`${indentStr}embed: ${url}`);
+      const url = mediaUrl(block.embed?.url || '', options);
+      lines.push(url ? `${indentStr}embed: ${quoteValue(url)}` : `${indentStr}[embed]`);
       break;
     }
 
     case 'equation': {
       const expr = block.equation?.expression || '';
-      lines.push(`${indentStr}math: ${escapeValue(expr)}`);
+      lines.push(`${indentStr}math: ${quoteValue(expr)}`);
       break;
     }
 
@@ -347,7 +492,7 @@ function convertBlock(block, indent = 0) {
         lines.push(`${indentStr}columns:`);
         for (const col of block.children) {
           if (col.children) {
-            lines.push(...convertBlocks(col.children, indent + 1));
+            lines.push(...convertBlocks(col.children, indent + 1, options));
           }
         }
       }
@@ -355,28 +500,40 @@ function convertBlock(block, indent = 0) {
 
     case 'synced_block':
       if (block.children) {
-        lines.push(...convertBlocks(block.children, indent));
+        lines.push(...convertBlocks(block.children, indent, options));
       }
       break;
 
     case 'child_page': {
       const title = block.child_page?.title || 'Untitled';
-      lines.push(`${indentStr}page: ${escapeValue(title)}`);
+      lines.push(`${indentStr}page: ${quoteValue(title)}`);
+      lines.push(...formatSubpage(block, indentStr, options));
       break;
     }
 
     case 'child_database': {
+      // Rows are attached by loadChildDatabases when the database is queryable
+      if (block.database?.rows) {
+        lines.push(...formatDatabase(block.database, indentStr));
+        break;
+      }
       const title = block.child_database?.title || 'Untitled';
-      lines.push(`${indentStr}database: ${escapeValue(title)}`);
+      lines.push(`${indentStr}database: ${quoteValue(title)}`);
       break;
     }
 
     case 'link_to_page': {
       const pageId = block.link_to_page?.page_id || block.link_to_page?.database_id || '';
-      lines.push(`${indentStr}link_to_page: ${pageId}`);
+      lines.push(`${indentStr}link_to_page: ${quoteValue(pageId)}`);
+      lines.push(...formatSubpage(block, indentStr, options));
       break;
     }
 
+    case 'elided':
+      // Content left out to fit the token budget (see token-budget.js)
+      lines.push(`${indentStr}elided: ${quoteValue(block.elided.summary)}`);
+      break;
+
     default:
       // Unknown block type - include type name
       lines.push(`${indentStr}[${block.type}]`);
@@ -386,39 +543,33 @@ function convertBlock(block, indent = 0) {
 }
 
 /**
- * Check if a block is a list item
+ * Get a media URL, or an empty string when the profile leaves URLs out
  */
-function isListItem(block) {
-  return ['bulleted_list_item', 'numbered_list_item', 'to_do'].includes(block.type);
+function mediaUrl(url, options = {}) {
+  return options.mediaUrls === false ? '' : url;
 }
 
 /**
- * Collect consecutive list items of the same type
+ * Format a subpage attached by the subpage loader as a nested section
  */
-function collectListItems(blocks, startIndex) {
-  const items = [];
-  const startType = blocks[startIndex].type;
-
-  for (let i = startIndex; i < blocks.length; i++) {
-    if (blocks[i].type !== startType) break;
-    items.push(blocks[i]);
-  }
-
-  return items;
+function formatSubpage(block, indentStr, options = {}) {
+  if (!block.subpage?.page) return [];
+  return convertPage(block.subpage.page, block.subpage.blocks, options)
+    .map(line => `${indentStr}  ${line}`);
 }
 
 /**
  * Format list items in tabular TOON format
  */
-function formatListItems(items, indentStr) {
+function formatListItems(items, indentStr, options = {}) {
   const lines = [];
 
   if (items.length === 0) return lines;
 
   const type = items[0].type;
 
-  // Only use tabular format for simple lists without children
-  const hasChildren = items.some(item => item.children && item.children.length > 0);
+  // Only use tabular format for simple lists without children or comments
+  const hasChildren = items.some(item => item.children?.length > 0 || item.comments?.length > 0);
 
   if (!hasChildren && items.length >= 2) {
     // Tabular format
@@ -429,28 +580,50 @@ function formatListItems(items, indentStr) {
 
     for (const item of items) {
       const blockContent = item[type];
-      const text = richTextToPlain(blockContent?.rich_text);
+      const text = renderRichText(blockContent?.rich_text, options);
       if (type === 'to_do') {
         const checked = blockContent?.checked ? '[x]' : '[ ]';
-        lines.push(`${indentStr}  ${checked} ${escapeValue(text)}`);
+        lines.push(`${indentStr}  ${checked} ${quoteValue(text)}`);
       } else {
-        lines.push(`${indentStr}  ${escapeValue(text)}`);
+        lines.push(`${indentStr}  ${quoteValue(text)}`);
       }
     }
   } else {
     // Regular format with potential children
     for (const item of items) {
-      lines.push(...convertBlock(item, 0).map(l => indentStr + l));
+      lines.push(...convertBlock(item, 0, options).map(l => indentStr + l));
+      // Comments on an item are indented under it, like its children
+      lines.push(...formatComments(item.comments, `${indentStr}  `, options));
     }
   }
 
   return lines;
 }
 
+/**
+ * Format comment threads as one table, numbering threads in order:
+ * comments[3]{thread,author,created,text}:
+ *   1,Alice,"2025-01-15T10:30:00.000Z",Should we split this?
+ */
+function formatComments(threads, indentStr, options = {}) {
+  const rows = (threads || []).flatMap((thread, i) => thread.comments.map(comment => [
+    i + 1,
+    formatCell(comment.author),
+    formatCell(comment.created),
+    formatCell(renderRichText(comment.richText, options) || comment.text)
+  ].join(DELIMITER)));
+
+  if (rows.length === 0) return [];
+  return [
+    `${indentStr}comments[${rows.length}]{thread,author,created,text}:`,
+    ...rows.map(row => `${indentStr}  ${row}`)
+  ];
+}
+
 /**
  * Format a table block
  */
-function formatTable(block, indentStr) {
+function formatTable(block, indentStr, options = {}) {
   const lines = [];
 
   if (!block.children || block.children.length === 0) {
@@ -467,13 +640,13 @@ function formatTable(block, indentStr) {
 
   if (hasHeader && rows.length > 0) {
     const headerRow = rows[0];
-    headers = headerRow.table_row?.cells?.map(cell => richTextToPlain(cell)) || [];
+    headers = headerRow.table_row?.cells?.map(cell => renderRichText(cell, options)) || [];
     dataRows = rows.slice(1);
   }
 
   // Format table
   if (headers.length > 0) {
-    const headerStr = headers.map(h => escapeValue(h)).join(',');
+    const headerStr = headers.map(h => formatKey(h)).join(DELIMITER);
     lines.push(`${indentStr}table[${dataRows.length}]{${headerStr}}:`);
   } else {
     lines.push(`${indentStr}table[${dataRows.length}]:`);
@@ -481,8 +654,8 @@ function formatTable(block, indentStr) {
 
   // Add data rows
   for (const row of dataRows) {
-    const cells = row.table_row?.cells?.map(cell => richTextToPlain(cell)) || [];
-    const rowStr = cells.map(c => escapeValue(c)).join(',');
+    const cells = row.table_row?.cells?.map(cell => renderRichText(cell, options)) || [];
+    const rowStr = cells.map(formatCell).join(DELIMITER);
     lines.push(`${indentStr}  ${rowStr}`);
   }
 
@@ -490,19 +663,91 @@ function formatTable(block, indentStr) {
 }
 
 /**
- * Escape special characters in values
+ * Format database rows in tabular TOON format
  */
-function escapeValue(value) {
-  if (!value) return '';
-
-  // If value contains newlines, we need special handling
-  if (value.includes('\n')) {
-    // For multiline, just return the first line with indicator
-    const firstLine = value.split('\n')[0];
-    return `${firstLine}...`;
+function formatDatabase(database, indentStr, key = 'database') {
+  const lines = [];
+
+  const headerStr = database.columns.map(c => formatKey(c)).join(DELIMITER);
+  lines.push(`${indentStr}${key}[${database.rows.length}]{${headerStr}}:`);
+
+  for (const row of database.rows) {
+    const cells = database.columns.map(name =>
+      formatCellValue(extractPropertyValue(row.properties?.[name]))
+    );
+    lines.push(`${indentStr}  ${cells.join(DELIMITER)}`);
   }
 
-  // Escape commas in table context (caller should handle this if needed)
-  // For now, just return the value as-is for most cases
-  return value;
+  return lines;
+}
+
+/**
+ * Format a property value for a tabular row
+ * Arrays can't nest in a row, they are joined into a single string
+ */
+function formatCellValue(value) {
+  if (value === null || value === undefined) return '';
+
+  if (Array.isArray(value)) {
+    return formatCell(value.map(String).join('; '));
+  }
+
+  if (typeof value === 'boolean' || typeof value === 'number') {
+    return String(value);
+  }
+
+  return formatCell(String(value));
+}
+
+/**
+ * Format a string cell of a tabular row (empty cells stay empty)
+ */
+function formatCell(value) {
+  return value === '' ? '' : quoteValue(value, DELIMITER);
+}
+
+/**
+ * Format a key, quoting it unless it's a plain identifier
+ * @param {string} key - Key, property name or table header
+ * @returns {string} - TOON key
+ */
+function formatKey(key) {
+  return KEY_PATTERN.test(key) ? key : quoteString(key);
+}
+
+/**
+ * Quote a string value when TOON requires it
+ *
+ * Quoted: empty strings, leading/trailing whitespace, structural characters
+ * (colon, quotes, backslash, brackets, braces, control characters), list
+ * markers at the start, strings that would read as true/false/null or a
+ * number, and strings containing the active delimiter.
+ *
+ * @param {string} value - Raw value
+ * @param {string|null} delimiter - Delimiter of the enclosing array or row
+ * @returns {string} - Value safe to emit
+ */
+function quoteValue(value, delimiter = null) {
+  if (value === null || value === undefined) return '""';
+
+  const needsQuotes = value === '' ||
+    value !== value.trim() ||
+    STRUCTURAL_PATTERN.test(value) ||
+    LITERAL_PATTERN.test(value) ||
+    (delimiter !== null && value.includes(delimiter));
+
+  return needsQuotes ? quoteString(value) : value;
+}
+
+/**
+ * Wrap a string in double quotes, escaping backslashes, quotes and control characters
+ */
+function quoteString(value) {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${escaped}"`;
 }
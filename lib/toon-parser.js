@@ -0,0 +1,767 @@
+/**
+ * TOON Parser
+ * Parses the TOON dialect emitted by convertToToon back into a structured object
+ *
+ * Output mirrors the normalized page model (see page-model.js), without block IDs:
+ *
+ * {
+ *   meta: { id, created, updated, title, ... },
+ *   properties: { [name]: value },
+ *   content: [Node],
+ *   schema: { [name]: type },          // full-page databases only
+ *   rows: [{ [column]: value }],       // full-page databases only
+ *   elided: string,                    // full-page databases trimmed to the token budget
+ *   comments: [{ thread, author, created, text }]   // when extracted with comments
+ * }
+ *
+ * Node: { type, text?, children?, ... } with the same type names as the page
+ * model: paragraph, heading_1, bulleted_list (items), todo_list, code, table…
+ * Comments on a block follow it as a { type: 'comments', comments } node
+ * (the last child of a list item, for comments on the item).
+ *
+ * A batch extraction (`pages[N]:` list of documents) parses to { pages: [document] }.
+ * A `changes:` section (see convertChangesToToon) parses to
+ * changes: { since, properties, added, removed, modified }, each a list of rows.
+ */
+
+const INDENT = 2;
+
+// Tabular list prefixes and the node types they map to
+const LIST_PREFIXES = {
+  items: { group: 'bulleted_list', item: 'bulleted_list_item' },
+  list: { group: 'numbered_list', item: 'numbered_list_item' },
+  todos: { group: 'todo_list', item: 'to_do' }
+};
+
+// Single list item markers
+const LIST_ITEM_GROUPS = {
+  bulleted_list_item: 'bulleted_list',
+  numbered_list_item: 'numbered_list',
+  to_do: 'todo_list'
+};
+
+// Content keys with a text value, and whether they may have nested children
+const TEXT_KEYS = {
+  p: { type: 'paragraph', children: false },
+  h1: { type: 'heading_1', children: true },
+  h2: { type: 'heading_2', children: true },
+  h3: { type: 'heading_3', children: true },
+  toggle: { type: 'toggle', children: true },
+  quote: { type: 'quote', children: true },
+  math: { type: 'equation', children: false, field: 'expression' },
+  image: { type: 'image', children: false },
+  video: { type: 'video', children: false, field: 'url' },
+  pdf: { type: 'pdf', children: false, field: 'url' },
+  bookmark: { type: 'bookmark', children: false },
+  link: { type: 'link_preview', children: false, field: 'url' },
+  embed: { type: 'embed', children: false, field: 'url' },
+  database: { type: 'child_database', children: false, field: 'title' },
+  elided: { type: 'elided', children: false, field: 'summary' }
+};
+
+/**
+ * Error raised for malformed TOON input
+ */
+export class ToonParseError extends Error {
+  constructor(message, line) {
+    super(`Line ${line}: ${message}`);
+    this.name = 'ToonParseError';
+    this.line = line;
+  }
+}
+
+/**
+ * Parse a TOON document
+ * @param {string} text - TOON text as produced by convertToToon
+ * @returns {Object} - { meta, properties, content, schema?, rows? }, or { pages } for a batch
+ * @throws {ToonParseError} - When the input is malformed
+ */
+export function parseToon(text) {
+  const lines = splitLines(text);
+  const cursor = { lines, index: 0 };
+
+  skipBlankLines(cursor);
+  const document = isPageList(cursor)
+    ? parsePageList(cursor)
+    : parseDocument(cursor, 0);
+  skipBlankLines(cursor);
+
+  if (cursor.index < lines.length) {
+    const line = lines[cursor.index];
+    throw new ToonParseError('Unexpected indentation', line.number);
+  }
+
+  return document;
+}
+
+/**
+ * Split text into lines with their indentation and 1-based line number
+ */
+function splitLines(text) {
+  return String(text).replace(/\r\n?/g, '\n').split('\n').map((raw, i) => {
+    const indent = raw.length - raw.trimStart().length;
+    return { raw, indent, text: raw.trim(), number: i + 1 };
+  });
+}
+
+/**
+ * Skip blank lines (never significant outside code bodies)
+ */
+function skipBlankLines(cursor) {
+  while (cursor.index < cursor.lines.length && cursor.lines[cursor.index].text === '') {
+    cursor.index++;
+  }
+}
+
+/**
+ * Peek the next non-blank line if it sits exactly at an indentation level
+ */
+function peekAt(cursor, indent) {
+  skipBlankLines(cursor);
+  const line = cursor.lines[cursor.index];
+  if (!line || line.indent < indent) return null;
+  if (line.indent > indent) {
+    throw new ToonParseError(`Unexpected indentation (expected ${indent} spaces, found ${line.indent})`, line.number);
+  }
+  return line;
+}
+
+/**
+ * Check if the document is a batch: a top-level `pages[N]:` list
+ */
+function isPageList(cursor) {
+  const line = cursor.lines[cursor.index];
+  return Boolean(line) && line.indent === 0 && /^pages\[[^\]]*\]:$/.test(line.text);
+}
+
+/**
+ * Parse a `pages[N]:` list of documents, each item starting on its hyphen line
+ */
+function parsePageList(cursor) {
+  const header = cursor.lines[cursor.index];
+  const entry = parseKeyLine(header);
+  const count = parseCount(entry.bracket, header);
+  cursor.index++;
+
+  const pages = [];
+  let line;
+  while ((line = peekAt(cursor, INDENT))) {
+    if (!line.text.startsWith('- ')) {
+      throw new ToonParseError('Expected "- " before a page', line.number);
+    }
+
+    // The first key shares the hyphen line: read it as if it sat under the others
+    cursor.lines[cursor.index] = { ...line, indent: line.indent + INDENT, text: line.text.slice(2) };
+    pages.push(parseDocument(cursor, INDENT * 2));
+  }
+
+  if (pages.length !== count) {
+    throw new ToonParseError(`Expected ${count} pages, found ${pages.length}`, header.number);
+  }
+
+  return { pages };
+}
+
+/**
+ * Parse the sections of a page or database document at an indentation level
+ */
+function parseDocument(cursor, indent) {
+  const document = { meta: {}, properties: {}, content: [] };
+  const seen = new Set();
+  let line;
+
+  while ((line = peekAt(cursor, indent))) {
+    const entry = parseKeyLine(line);
+
+    if (seen.has(entry.key)) {
+      throw new ToonParseError(`Duplicate section "${entry.key}"`, line.number);
+    }
+    seen.add(entry.key);
+    cursor.index++;
+
+    switch (entry.key) {
+      case 'meta':
+        expectEmptyValue(entry, line);
+        document.meta = parseMap(cursor, indent + INDENT, true);
+        break;
+
+      case 'properties':
+        expectEmptyValue(entry, line);
+        document.properties = parseMap(cursor, indent + INDENT, true);
+        break;
+
+      case 'schema':
+        expectEmptyValue(entry, line);
+        document.schema = parseMap(cursor, indent + INDENT, false);
+        break;
+
+      case 'content':
+        expectEmptyValue(entry, line);
+        document.content = parseBlocks(cursor, indent + INDENT);
+        break;
+
+      case 'rows':
+        document.rows = parseTabularObjects(cursor, indent + INDENT, entry, line);
+        break;
+
+      case 'elided':
+        document.elided = decodeString(requireValue(entry, line), line);
+        break;
+
+      case 'comments':
+        expectEmptyValue(entry, line);
+        document.comments = parseTabularObjects(cursor, indent + INDENT, entry, line);
+        break;
+
+      case 'changes':
+        expectEmptyValue(entry, line);
+        document.changes = parseChanges(cursor, indent + INDENT);
+        break;
+
+      default:
+        throw new ToonParseError(`Unknown section "${entry.key}"`, line.number);
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Parse a changes section: `since` and the changed properties and blocks as tables
+ */
+function parseChanges(cursor, indent) {
+  const changes = { since: null, properties: [], added: [], removed: [], modified: [] };
+  let line;
+
+  while ((line = peekAt(cursor, indent))) {
+    const entry = parseKeyLine(line);
+    cursor.index++;
+
+    if (entry.key === 'since') {
+      changes.since = decodePrimitive(requireValue(entry, line), line);
+    } else if (Object.hasOwn(changes, entry.key) && entry.bracket !== null) {
+      changes[entry.key] = parseTabularObjects(cursor, indent + INDENT, entry, line);
+    } else {
+      throw new ToonParseError(`Unknown change "${entry.key}"`, line.number);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Parse "key: value" pairs (and "key[N]: a,b" arrays when allowed)
+ */
+function parseMap(cursor, indent, allowArrays) {
+  const map = {};
+  let line;
+
+  while ((line = peekAt(cursor, indent))) {
+    const entry = parseKeyLine(line);
+    cursor.index++;
+
+    if (entry.bracket !== null) {
+      if (!allowArrays) {
+        throw new ToonParseError(`Arrays are not allowed here ("${entry.key}")`, line.number);
+      }
+      map[entry.key] = parseInlineArray(entry, line);
+    } else {
+      if (entry.value === null) {
+        throw new ToonParseError(`Missing value for "${entry.key}"`, line.number);
+      }
+      map[entry.key] = decodePrimitive(entry.value, line);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Parse an inline primitive array: key[N]: a,b,c
+ */
+function parseInlineArray(entry, line) {
+  const count = parseCount(entry.bracket, line);
+  const values = entry.value === null ? [] : splitDelimited(entry.value, line).map(v => decodePrimitive(v, line));
+
+  if (values.length !== count) {
+    throw new ToonParseError(`Expected ${count} values for "${entry.key}", found ${values.length}`, line.number);
+  }
+
+  return values;
+}
+
+/**
+ * Parse content blocks at an indentation level
+ */
+function parseBlocks(cursor, indent) {
+  const nodes = [];
+  let line;
+
+  while ((line = peekAt(cursor, indent))) {
+    cursor.index++;
+    nodes.push(parseBlock(cursor, line, indent));
+  }
+
+  return groupListItems(nodes);
+}
+
+/**
+ * Parse a single content line (and whatever is nested under it)
+ */
+function parseBlock(cursor, line, indent) {
+  const text = line.text;
+  const childIndent = indent + INDENT;
+
+  if (text === '---') {
+    return { type: 'divider' };
+  }
+
+  if (text.startsWith('- ')) {
+    return withChildren(cursor, childIndent, {
+      type: 'bulleted_list_item',
+      text: decodeString(text.slice(2), line)
+    });
+  }
+
+  if (text.startsWith('# ')) {
+    return withChildren(cursor, childIndent, {
+      type: 'numbered_list_item',
+      text: decodeString(text.slice(2), line)
+    });
+  }
+
+  const todo = parseTodo(text, line);
+  if (todo) {
+    return withChildren(cursor, childIndent, todo);
+  }
+
+  const unknown = text.match(/^\[([a-z0-9_]+)\]$/);
+  if (unknown) {
+    return { type: unknown[1] };
+  }
+
+  const entry = parseKeyLine(line);
+
+  // Tabular lists: items[N]: / list[N]: / todos[N]:
+  if (LIST_PREFIXES[entry.key] && entry.bracket !== null) {
+    expectEmptyValue(entry, line);
+    return parseTabularList(cursor, childIndent, entry, line);
+  }
+
+  switch (entry.key) {
+    case 'table':
+      expectEmptyValue(entry, line);
+      return parseTable(cursor, childIndent, entry, line);
+
+    case 'database':
+      if (entry.bracket !== null) {
+        expectEmptyValue(entry, line);
+        const rows = parseTabularObjects(cursor, childIndent, entry, line);
+        return { type: 'child_database', columns: entry.fields, rows };
+      }
+      break;
+
+    case 'code':
+      expectEmptyValue(entry, line);
+      return parseCode(cursor, childIndent, entry);
+
+    case 'comments':
+      if (entry.bracket !== null) {
+        expectEmptyValue(entry, line);
+        return { type: 'comments', comments: parseTabularObjects(cursor, childIndent, entry, line) };
+      }
+      break;
+
+    case 'callout':
+      return withChildren(cursor, childIndent, {
+        type: 'callout',
+        icon: entry.bracket,
+        text: decodeString(requireValue(entry, line), line)
+      });
+
+    case 'file':
+      return {
+        type: 'file',
+        name: entry.bracket,
+        url: decodeString(entry.value ?? '', line)
+      };
+
+    case 'toc':
+      expectEmptyValue(entry, line);
+      return { type: 'table_of_contents' };
+
+    case 'breadcrumb':
+      expectEmptyValue(entry, line);
+      return { type: 'breadcrumb' };
+
+    case 'columns':
+      expectEmptyValue(entry, line);
+      return { type: 'column_list', children: parseBlocks(cursor, childIndent) };
+
+    case 'page':
+      return withSubpage(cursor, childIndent, {
+        type: 'child_page',
+        title: decodeString(requireValue(entry, line), line)
+      });
+
+    case 'link_to_page':
+      return withSubpage(cursor, childIndent, {
+        type: 'link_to_page',
+        target: decodeString(requireValue(entry, line), line)
+      });
+  }
+
+  const textKey = TEXT_KEYS[entry.key];
+  if (!textKey || entry.bracket !== null) {
+    throw new ToonParseError(`Unknown content entry "${entry.key}"`, line.number);
+  }
+
+  const node = {
+    type: textKey.type,
+    [textKey.field || 'text']: decodeString(requireValue(entry, line), line)
+  };
+  return textKey.children ? withChildren(cursor, childIndent, node) : node;
+}
+
+/**
+ * Parse a to-do line: "[x] text" or "[ ] text"
+ */
+function parseTodo(text, line) {
+  const match = text.match(/^\[([x ])\] (.*)$/);
+  if (!match) return null;
+  return {
+    type: 'to_do',
+    checked: match[1] === 'x',
+    text: decodeString(match[2], line)
+  };
+}
+
+/**
+ * Attach nested blocks when the next lines are indented under the node
+ */
+function withChildren(cursor, childIndent, node) {
+  skipBlankLines(cursor);
+  const next = cursor.lines[cursor.index];
+  if (next && next.indent >= childIndent) {
+    node.children = parseBlocks(cursor, childIndent);
+  }
+  return node;
+}
+
+/**
+ * Attach a nested page document (meta/properties/content) under a page line
+ */
+function withSubpage(cursor, childIndent, node) {
+  skipBlankLines(cursor);
+  const next = cursor.lines[cursor.index];
+  if (next && next.indent >= childIndent) {
+    node.page = parseDocument(cursor, childIndent);
+  }
+  return node;
+}
+
+/**
+ * Parse the N value lines of items[N] / list[N] / todos[N]
+ */
+function parseTabularList(cursor, indent, entry, line) {
+  const count = parseCount(entry.bracket, line);
+  const { group, item } = LIST_PREFIXES[entry.key];
+  const items = [];
+
+  for (const row of readRows(cursor, indent, count, line)) {
+    if (item === 'to_do') {
+      const todo = parseTodo(row.text, row);
+      if (!todo) {
+        throw new ToonParseError('Expected a to-do item ("[x] text" or "[ ] text")', row.number);
+      }
+      items.push(todo);
+    } else {
+      items.push({ type: item, text: decodeString(row.text, row) });
+    }
+  }
+
+  return { type: group, items };
+}
+
+/**
+ * Parse table[N]{headers}: rows into arrays of cells
+ */
+function parseTable(cursor, indent, entry, line) {
+  const count = parseCount(entry.bracket, line);
+  const rows = readRows(cursor, indent, count, line).map(row =>
+    splitDelimited(row.text, row).map(cell => decodeString(cell, row))
+  );
+
+  const headers = entry.fields || [];
+  if (headers.length > 0) {
+    rows.forEach((cells, i) => {
+      if (cells.length !== headers.length) {
+        throw new ToonParseError(`Expected ${headers.length} cells, found ${cells.length}`, line.number + i + 1);
+      }
+    });
+  }
+
+  return { type: 'table', hasHeader: headers.length > 0, headers, rows };
+}
+
+/**
+ * Parse key[N]{fields}: rows into objects keyed by field
+ */
+function parseTabularObjects(cursor, indent, entry, line) {
+  const count = parseCount(entry.bracket, line);
+  const fields = entry.fields;
+  if (!fields) {
+    throw new ToonParseError(`Missing {fields} header for "${entry.key}"`, line.number);
+  }
+
+  return readRows(cursor, indent, count, line).map(row => {
+    const cells = splitDelimited(row.text, row);
+    if (cells.length !== fields.length) {
+      throw new ToonParseError(`Expected ${fields.length} cells, found ${cells.length}`, row.number);
+    }
+
+    const object = {};
+    fields.forEach((field, i) => {
+      object[field] = cells[i] === '' ? null : decodePrimitive(cells[i], row);
+    });
+    return object;
+  });
+}
+
+/**
+ * Read exactly `count` row lines at an indentation level
+ */
+function readRows(cursor, indent, count, headerLine) {
+  const rows = [];
+
+  while (rows.length < count) {
+    const line = peekAt(cursor, indent);
+    if (!line) {
+      throw new ToonParseError(`Expected ${count} rows, found ${rows.length}`, headerLine.number);
+    }
+    rows.push(line);
+    cursor.index++;
+  }
+
+  return rows;
+}
+
+/**
+ * Parse a code[lang]: body, kept verbatim (relative indentation and blank lines included)
+ */
+function parseCode(cursor, indent, entry) {
+  const body = [];
+
+  while (cursor.index < cursor.lines.length) {
+    const line = cursor.lines[cursor.index];
+    if (line.text !== '' && line.indent < indent) break;
+    body.push(line.raw.slice(indent));
+    cursor.index++;
+  }
+
+  // Trailing blank lines separate blocks, they aren't part of the code
+  while (body.length > 0 && body[body.length - 1].trim() === '') {
+    body.pop();
+  }
+
+  return { type: 'code', language: entry.bracket || 'plain', text: body.join('\n') };
+}
+
+/**
+ * Group consecutive single list items into list nodes, like the page model
+ */
+function groupListItems(nodes) {
+  const grouped = [];
+
+  for (const node of nodes) {
+    const groupType = LIST_ITEM_GROUPS[node.type];
+    const previous = grouped[grouped.length - 1];
+
+    if (!groupType) {
+      grouped.push(node);
+    } else if (previous?.type === groupType) {
+      previous.items.push(node);
+    } else {
+      grouped.push({ type: groupType, items: [node] });
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Parse "key[bracket]{fields}: value" into its parts
+ * The key and bracket may be quoted; value is the raw text after ": " (or null)
+ */
+function parseKeyLine(line) {
+  const text = line.text;
+  let pos = 0;
+  let key;
+
+  if (text[0] === '"') {
+    const quoted = readQuoted(text, 0, line);
+    key = quoted.value;
+    pos = quoted.end;
+  } else {
+    const match = text.match(/^[^:[{"\s][^:[{]*/);
+    if (!match) {
+      throw new ToonParseError('Expected a key', line.number);
+    }
+    key = match[0].trimEnd();
+    pos = match[0].length;
+  }
+
+  let bracket = null;
+  if (text[pos] === '[') {
+    const close = findClosing(text, pos + 1, ']', line);
+    bracket = decodeString(text.slice(pos + 1, close), line);
+    pos = close + 1;
+  }
+
+  let fields = null;
+  if (text[pos] === '{') {
+    const close = findClosing(text, pos + 1, '}', line);
+    fields = splitDelimited(text.slice(pos + 1, close), line).map(f => decodeString(f, line));
+    pos = close + 1;
+  }
+
+  if (text[pos] !== ':') {
+    throw new ToonParseError(`Expected ":" after "${key}"`, line.number);
+  }
+  pos++;
+
+  let value = null;
+  if (pos < text.length) {
+    if (text[pos] !== ' ') {
+      throw new ToonParseError('Expected a space after ":"', line.number);
+    }
+    value = text.slice(pos + 1);
+  }
+
+  return { key, bracket, fields, value };
+}
+
+/**
+ * Find a closing character outside of quotes
+ */
+function findClosing(text, start, char, line) {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '"') {
+      i = readQuoted(text, i, line).end - 1;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  throw new ToonParseError(`Missing closing "${char}"`, line.number);
+}
+
+/**
+ * Split a delimited row on commas outside of quotes (fields stay raw)
+ */
+function splitDelimited(text, line) {
+  const fields = [];
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '"') {
+      i = readQuoted(text, i, line).end - 1;
+    } else if (text[i] === ',') {
+      fields.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  fields.push(text.slice(start));
+
+  return fields;
+}
+
+/**
+ * Read a quoted string starting at `start`, decoding escapes
+ * @returns {Object} - { value, end } with end just past the closing quote
+ */
+function readQuoted(text, start, line) {
+  let value = '';
+
+  for (let i = start + 1; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      return { value, end: i + 1 };
+    }
+
+    if (char === '\\') {
+      const next = text[++i];
+      switch (next) {
+        case '\\': value += '\\'; break;
+        case '"': value += '"'; break;
+        case 'n': value += '\n'; break;
+        case 'r': value += '\r'; break;
+        case 't': value += '\t'; break;
+        default:
+          throw new ToonParseError(`Invalid escape "\\${next ?? ''}"`, line.number);
+      }
+      continue;
+    }
+
+    value += char;
+  }
+
+  throw new ToonParseError('Unterminated string', line.number);
+}
+
+/**
+ * Decode a value that is always a string (content text, cells, keys)
+ */
+function decodeString(raw, line) {
+  if (raw.startsWith('"')) {
+    const quoted = readQuoted(raw, 0, line);
+    if (quoted.end !== raw.length) {
+      throw new ToonParseError('Unexpected characters after closing quote', line.number);
+    }
+    return quoted.value;
+  }
+  return raw;
+}
+
+/**
+ * Decode a primitive: quoted string, true/false/null, number or bare string
+ */
+function decodePrimitive(raw, line) {
+  if (raw.startsWith('"')) {
+    return decodeString(raw, line);
+  }
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw === 'null') return null;
+  if (/^-?\d+(?:\.\d+)?(?:e[+-]?\d+)?$/i.test(raw)) return Number(raw);
+  return raw;
+}
+
+/**
+ * Parse the [N] count of an array header
+ */
+function parseCount(bracket, line) {
+  if (!/^\d+$/.test(bracket || '')) {
+    throw new ToonParseError(`Invalid array length "[${bracket}]"`, line.number);
+  }
+  return Number(bracket);
+}
+
+/**
+ * Require a value after "key:"
+ */
+function requireValue(entry, line) {
+  if (entry.value === null) {
+    throw new ToonParseError(`Missing value for "${entry.key}"`, line.number);
+  }
+  return entry.value;
+}
+
+/**
+ * Reject a value after a "key:" that only introduces nested lines
+ */
+function expectEmptyValue(entry, line) {
+  if (entry.value !== null) {
+    throw new ToonParseError(`Unexpected value after "${entry.key}:"`, line.number);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Zip Writer
+ * Builds an uncompressed (stored) zip archive in memory
+ *
+ * Images and PDFs are already compressed, so storing keeps the writer small
+ * without making bundles noticeably larger.
+ */
+
+const encoder = new TextEncoder();
+
+// General purpose flag: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// Version needed to extract: 2.0
+const ZIP_VERSION = 20;
+
+let crcTable = null;
+
+/**
+ * Create a zip archive
+ * @param {Array<Object>} entries - { path, data } with data a string or Uint8Array
+ * @param {Date} date - Modification date of every entry (default now)
+ * @returns {Uint8Array} - Zip file bytes
+ */
+export function createZip(entries, date = new Date()) {
+  const { time, day } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, 0, true);             // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);  // compressed size
+    local.setUint32(22, data.length, true);  // uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);            // extra field length
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, ZIP_VERSION, true); // version made by
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);     // offset of the local header
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concat([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * CRC-32 checksum of a byte array
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS time and date fields zip uses
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    day: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Join byte arrays
+ */
+function concat(parts) {
+  const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
@@ -0,0 +1,59 @@
+/**
+ * Offscreen Document Logic
+ * Writes to the clipboard and creates blob URLs for the service worker, which
+ * has no DOM and no URL.createObjectURL
+ */
+
+const textarea = document.getElementById('clipboard');
+
+/**
+ * Copy text with a focused textarea (navigator.clipboard needs a focused page)
+ */
+function copyToClipboard(text) {
+  textarea.value = text;
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.value = '';
+  return copied;
+}
+
+/**
+ * Create a blob URL for a download
+ * @param {string} data - Text, or base64 when base64 is set
+ * @param {string} type - MIME type
+ * @param {boolean} base64 - Whether data is base64 encoded bytes
+ */
+function createBlobUrl(data, type, base64) {
+  const content = base64 ? Uint8Array.from(atob(data), char => char.charCodeAt(0)) : data;
+  return URL.createObjectURL(new Blob([content], { type }));
+}
+
+/**
+ * Handle messages addressed to the offscreen document
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Messages from the popup and options are for the service worker
+  if (request.target !== 'offscreen') return false;
+
+  switch (request.action) {
+    case 'copyToClipboard': {
+      const copied = copyToClipboard(request.text);
+      sendResponse(copied ? { success: true } : { success: false, error: 'Clipboard write was rejected' });
+      break;
+    }
+
+    case 'createBlobUrl':
+      sendResponse({ success: true, url: createBlobUrl(request.data, request.type, request.base64) });
+      break;
+
+    case 'revokeBlobUrl':
+      URL.revokeObjectURL(request.url);
+      sendResponse({ success: true });
+      break;
+
+    default:
+      sendResponse({ success: false, error: 'Unknown action' });
+  }
+
+  return false;
+});
@@ -4,19 +4,80 @@
 
 // DOM Elements
 const elements = {
+  integrationSelect: document.getElementById('integration-select'),
+  integrationName: document.getElementById('integration-name'),
   apiKey: document.getElementById('api-key'),
+  integrationWorkspace: document.getElementById('integration-workspace'),
   btnSave: document.getElementById('btn-save'),
   btnTest: document.getElementById('btn-test'),
-  status: document.getElementById('status')
+  btnNewIntegration: document.getElementById('btn-new-integration'),
+  btnDeleteIntegration: document.getElementById('btn-delete-integration'),
+  status: document.getElementById('status'),
+  oauthClientId: document.getElementById('oauth-client-id'),
+  oauthTokenEndpoint: document.getElementById('oauth-token-endpoint'),
+  oauthRedirectUri: document.getElementById('oauth-redirect-uri'),
+  btnSignIn: document.getElementById('btn-sign-in'),
+  oauthStatus: document.getElementById('oauth-status'),
+  vaultState: document.getElementById('vault-state'),
+  vaultUnlockGroup: document.getElementById('vault-unlock-group'),
+  vaultUnlockPassphrase: document.getElementById('vault-unlock-passphrase'),
+  vaultSetGroup: document.getElementById('vault-set-group'),
+  vaultPassphrase: document.getElementById('vault-passphrase'),
+  vaultConfirmGroup: document.getElementById('vault-confirm-group'),
+  vaultPassphraseConfirm: document.getElementById('vault-passphrase-confirm'),
+  btnUnlock: document.getElementById('btn-unlock'),
+  btnSetPassphrase: document.getElementById('btn-set-passphrase'),
+  btnLock: document.getElementById('btn-lock'),
+  btnRemovePassphrase: document.getElementById('btn-remove-passphrase'),
+  vaultStatus: document.getElementById('vault-status'),
+  richTextStyle: document.getElementById('rich-text-style'),
+  resolveMentions: document.getElementById('resolve-mentions'),
+  databaseRowLimit: document.getElementById('database-row-limit'),
+  childPageDepth: document.getElementById('child-page-depth'),
+  maxChildPages: document.getElementById('max-child-pages'),
+  followPageLinks: document.getElementById('follow-page-links'),
+  includeComments: document.getElementById('include-comments'),
+  blockComments: document.getElementById('block-comments'),
+  tokenizer: document.getElementById('tokenizer'),
+  maxTokens: document.getElementById('max-tokens'),
+  chunkTokens: document.getElementById('chunk-tokens'),
+  maxAttempts: document.getElementById('max-attempts'),
+  historyLimit: document.getElementById('history-limit'),
+  btnSaveSettings: document.getElementById('btn-save-settings'),
+  settingsStatus: document.getElementById('settings-status'),
+  profileSelect: document.getElementById('profile-select'),
+  profileName: document.getElementById('profile-name'),
+  profileIncludeProperties: document.getElementById('profile-include-properties'),
+  profileExcludeProperties: document.getElementById('profile-exclude-properties'),
+  profileExcludePropertyTypes: document.getElementById('profile-exclude-property-types'),
+  profileExcludeBlockTypes: document.getElementById('profile-exclude-block-types'),
+  profileMediaUrls: document.getElementById('profile-media-urls'),
+  profileIncludeMeta: document.getElementById('profile-include-meta'),
+  btnSaveProfile: document.getElementById('btn-save-profile'),
+  btnNewProfile: document.getElementById('btn-new-profile'),
+  btnDeleteProfile: document.getElementById('btn-delete-profile'),
+  profileStatus: document.getElementById('profile-status')
 };
 
+// Profile that can be edited but not deleted
+const DEFAULT_PROFILE_ID = 'default';
+
+// Profiles as stored by the service worker
+let profiles = [];
+
+// Integrations as described by the service worker (without their keys), plus the one being created
+let integrations = [];
+
+// Placeholder of the API key field for an integration without a saved key
+const API_KEY_PLACEHOLDER = 'ntn_xxx...';
+
 /**
  * Show status message
  */
-function showStatus(message, type = 'info') {
-  elements.status.textContent = message;
-  elements.status.className = `status ${type}`;
-  elements.status.classList.remove('hidden');
+function showStatus(message, type = 'info', target = elements.status) {
+  target.textContent = message;
+  target.className = `status ${type}`;
+  target.classList.remove('hidden');
 }
 
 /**
@@ -36,35 +97,87 @@ function sendMessage(action, data = {}) {
 }
 
 /**
- * Load saved API key
+ * Load saved integrations
  */
-async function loadApiKey() {
-  const result = await sendMessage('getApiKey');
-  if (result.apiKey) {
-    elements.apiKey.value = result.apiKey;
+async function loadIntegrations(selectedId = null) {
+  const result = await sendMessage('getIntegrations');
+  if (!result.success) return;
+
+  integrations = result.integrations;
+
+  // Nothing saved yet: the form starts as the first integration
+  if (integrations.length === 0) {
+    integrations.push(createIntegrationDraft('Default'));
   }
+  renderIntegrationSelect(selectedId);
+  renderVault(result);
 }
 
 /**
- * Save API key
+ * Create an integration that isn't saved until it has a token
  */
-async function saveApiKey() {
-  const apiKey = elements.apiKey.value.trim();
+function createIntegrationDraft(name) {
+  return { id: crypto.randomUUID(), name, workspace: '', configured: false, preview: '' };
+}
 
-  if (!apiKey) {
-    showStatus('Please enter an API key', 'error');
+/**
+ * Fill the integration picker and show the selected integration
+ */
+function renderIntegrationSelect(selectedId) {
+  elements.integrationSelect.innerHTML = '';
+  for (const integration of integrations) {
+    const option = document.createElement('option');
+    option.value = integration.id;
+    option.textContent = integration.source === 'oauth' ? `${integration.name} (signed in)` : integration.name;
+    elements.integrationSelect.appendChild(option);
+  }
+
+  const selected = integrations.find(i => i.id === selectedId) || integrations[0];
+  elements.integrationSelect.value = selected.id;
+  fillIntegrationForm(selected);
+}
+
+/**
+ * Show an integration in the form
+ */
+function fillIntegrationForm(integration) {
+  elements.integrationName.value = integration.name;
+  elements.apiKey.value = '';
+  elements.apiKey.placeholder = integration.configured ? `${integration.preview} (saved)` : API_KEY_PLACEHOLDER;
+  elements.integrationWorkspace.value = integration.workspace;
+}
+
+/**
+ * Save the integration shown in the form
+ */
+async function saveIntegration() {
+  const id = elements.integrationSelect.value;
+  const existing = integrations.find(i => i.id === id);
+  const integration = {
+    // Keep what the form doesn't show, like how an OAuth integration signed in
+    ...existing,
+    id,
+    name: elements.integrationName.value.trim(),
+    token: elements.apiKey.value.trim(),
+    workspace: elements.integrationWorkspace.value.trim()
+  };
+
+  if (!integration.name) {
+    showStatus('Please enter a name for the integration', 'error');
     return;
   }
 
-  if (!apiKey.startsWith('secret_')) {
-    showStatus('API key should start with "secret_"', 'error');
+  // An empty field keeps the saved key
+  if (!integration.token && !existing.configured) {
+    showStatus('Please enter an API key', 'error');
     return;
   }
 
   elements.btnSave.disabled = true;
 
   try {
-    await sendMessage('saveApiKey', { apiKey });
+    const updated = integrations.map(i => (i.id === integration.id ? integration : i));
+    await storeIntegrations(updated, integration.id);
     showStatus('API key saved successfully!', 'success');
   } catch (error) {
     showStatus(`Error saving API key: ${error.message}`, 'error');
@@ -73,13 +186,201 @@ async function saveApiKey() {
   }
 }
 
+/**
+ * Store integrations and show the given one (unsaved drafts are dropped)
+ */
+async function storeIntegrations(updated, selectedId) {
+  const result = await sendMessage('saveIntegrations', { integrations: updated });
+  if (!result.success) {
+    throw new Error(result.error || 'Unknown error');
+  }
+  await loadIntegrations(selectedId);
+}
+
+/**
+ * Start a new integration in the form
+ */
+function newIntegration() {
+  const draft = createIntegrationDraft(`Integration ${integrations.length + 1}`);
+  integrations.push(draft);
+  renderIntegrationSelect(draft.id);
+  elements.integrationName.select();
+  showStatus('Name the integration, paste its API key, and save.', 'info');
+}
+
+/**
+ * Delete the selected integration
+ */
+async function deleteIntegration() {
+  const id = elements.integrationSelect.value;
+
+  try {
+    await storeIntegrations(integrations.filter(i => i.id !== id), null);
+    showStatus('Integration deleted', 'success');
+  } catch (error) {
+    showStatus(`Error deleting integration: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show whether the API keys are encrypted, and the actions that apply
+ */
+function renderVault({ encrypted, locked }) {
+  elements.vaultState.textContent = !encrypted
+    ? 'API keys are stored in plain text in this browser.'
+    : locked
+      ? 'API keys are encrypted and locked. Enter your passphrase to use or change them.'
+      : 'API keys are encrypted, and unlocked until the browser closes.';
+
+  elements.vaultUnlockGroup.classList.toggle('hidden', !locked);
+  elements.btnUnlock.classList.toggle('hidden', !locked);
+  elements.vaultSetGroup.classList.toggle('hidden', locked);
+  elements.vaultConfirmGroup.classList.toggle('hidden', locked);
+  elements.btnSetPassphrase.classList.toggle('hidden', locked);
+  elements.btnSetPassphrase.textContent = encrypted ? 'Change Passphrase' : 'Encrypt API Keys';
+  elements.btnLock.classList.toggle('hidden', !encrypted || locked);
+  elements.btnRemovePassphrase.classList.toggle('hidden', !encrypted || locked);
+}
+
+/**
+ * Run an encryption action, then show the new state
+ */
+async function updateVault(action, data, message) {
+  const result = await sendMessage(action, data);
+  if (!result.success) {
+    throw new Error(result.error || 'Unknown error');
+  }
+  await loadIntegrations(elements.integrationSelect.value);
+  showStatus(message, 'success', elements.vaultStatus);
+}
+
+/**
+ * Encrypt the API keys with a new passphrase
+ */
+async function setPassphrase() {
+  const passphrase = elements.vaultPassphrase.value;
+
+  if (passphrase !== elements.vaultPassphraseConfirm.value) {
+    showStatus('The passphrases do not match', 'error', elements.vaultStatus);
+    return;
+  }
+
+  elements.btnSetPassphrase.disabled = true;
+  showStatus('Encrypting…', 'info', elements.vaultStatus);
+
+  try {
+    await updateVault('setPassphrase', { passphrase }, 'API keys encrypted');
+    elements.vaultPassphrase.value = '';
+    elements.vaultPassphraseConfirm.value = '';
+  } catch (error) {
+    showStatus(`Error encrypting API keys: ${error.message}`, 'error', elements.vaultStatus);
+  } finally {
+    elements.btnSetPassphrase.disabled = false;
+  }
+}
+
+/**
+ * Unlock the API keys for this browser session
+ */
+async function unlockTokens() {
+  elements.btnUnlock.disabled = true;
+
+  try {
+    await updateVault('unlockTokens', { passphrase: elements.vaultUnlockPassphrase.value }, 'API keys unlocked');
+    elements.vaultUnlockPassphrase.value = '';
+  } catch (error) {
+    showStatus(`Could not unlock: ${error.message}`, 'error', elements.vaultStatus);
+  } finally {
+    elements.btnUnlock.disabled = false;
+  }
+}
+
+/**
+ * Lock the API keys until the passphrase is entered again
+ */
+async function lockTokens() {
+  try {
+    await updateVault('lockTokens', {}, 'API keys locked');
+  } catch (error) {
+    showStatus(`Error locking API keys: ${error.message}`, 'error', elements.vaultStatus);
+  }
+}
+
+/**
+ * Store the API keys in plain text again
+ */
+async function removePassphrase() {
+  try {
+    await updateVault('removePassphrase', {}, 'Encryption removed');
+  } catch (error) {
+    showStatus(`Error removing encryption: ${error.message}`, 'error', elements.vaultStatus);
+  }
+}
+
+/**
+ * Sign in to a workspace with OAuth, adding it to the integrations
+ */
+async function signIn() {
+  const oauthClientId = elements.oauthClientId.value.trim();
+  const oauthTokenEndpoint = elements.oauthTokenEndpoint.value.trim();
+
+  if (!oauthClientId || !oauthTokenEndpoint) {
+    showStatus('Please enter the OAuth client ID and the token exchange endpoint', 'error', elements.oauthStatus);
+    return;
+  }
+
+  const origin = toOriginPattern(oauthTokenEndpoint);
+  if (!origin) {
+    showStatus('The token exchange endpoint should be an http(s) URL', 'error', elements.oauthStatus);
+    return;
+  }
+
+  elements.btnSignIn.disabled = true;
+
+  try {
+    // Ask right away: Chrome only shows the prompt during the click
+    const granted = await chrome.permissions.request({ origins: [origin] });
+    if (!granted) {
+      throw new Error(`Access to ${new URL(oauthTokenEndpoint).host} is needed to exchange the sign-in code`);
+    }
+
+    await sendMessage('saveSettings', { settings: { oauthClientId, oauthTokenEndpoint } });
+    showStatus('Waiting for Notion…', 'info', elements.oauthStatus);
+
+    const result = await sendMessage('signInWithNotion');
+    if (!result.success) {
+      throw new Error(result.error || 'Sign-in failed');
+    }
+
+    await loadIntegrations(result.integration.id);
+    showStatus(`Signed in to "${result.integration.name}"`, 'success', elements.oauthStatus);
+  } catch (error) {
+    showStatus(`Sign-in failed: ${error.message}`, 'error', elements.oauthStatus);
+  } finally {
+    elements.btnSignIn.disabled = false;
+  }
+}
+
+/**
+ * Get the host permission pattern of an http(s) URL, e.g. "https://example.com/*"
+ */
+function toOriginPattern(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:' ? `${protocol}//${host}/*` : null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Test API connection
  */
 async function testConnection() {
   const apiKey = elements.apiKey.value.trim();
+  const integration = integrations.find(i => i.id === elements.integrationSelect.value);
 
-  if (!apiKey) {
+  if (!apiKey && !integration.configured) {
     showStatus('Please enter an API key first', 'error');
     return;
   }
@@ -88,7 +389,8 @@ async function testConnection() {
   showStatus('Testing connection...', 'info');
 
   try {
-    const result = await sendMessage('testConnection', { apiKey });
+    // Without a new key, the service worker tests the saved one
+    const result = await sendMessage('testConnection', { apiKey, integrationId: integration.id });
 
     if (result.success) {
       showStatus(`Connection successful! Authenticated as: ${result.data.user}`, 'success');
@@ -102,16 +404,277 @@ async function testConnection() {
   }
 }
 
+/**
+ * Load saved extraction settings
+ */
+async function loadSettings() {
+  const result = await sendMessage('getSettings');
+  if (result.settings) {
+    elements.richTextStyle.value = result.settings.richTextStyle;
+    elements.resolveMentions.checked = result.settings.resolveMentions;
+    elements.databaseRowLimit.value = result.settings.databaseRowLimit;
+    elements.childPageDepth.value = result.settings.childPageDepth;
+    elements.maxChildPages.value = result.settings.maxChildPages;
+    elements.followPageLinks.checked = result.settings.followPageLinks;
+    elements.includeComments.checked = result.settings.includeComments;
+    elements.blockComments.checked = result.settings.blockComments;
+    updateCommentOptions();
+    elements.tokenizer.value = result.settings.tokenizer;
+    elements.maxTokens.value = result.settings.maxTokens;
+    elements.chunkTokens.value = result.settings.chunkTokens;
+    elements.maxAttempts.value = result.settings.maxAttempts;
+    elements.historyLimit.value = result.settings.historyLimit;
+    elements.oauthClientId.value = result.settings.oauthClientId;
+    elements.oauthTokenEndpoint.value = result.settings.oauthTokenEndpoint;
+  }
+}
+
+/**
+ * Block comments only apply when comments are included
+ */
+function updateCommentOptions() {
+  elements.blockComments.disabled = !elements.includeComments.checked;
+}
+
+/**
+ * Save extraction settings
+ */
+async function saveSettings() {
+  const databaseRowLimit = parseInt(elements.databaseRowLimit.value, 10);
+  const childPageDepth = parseInt(elements.childPageDepth.value, 10);
+  const maxChildPages = parseInt(elements.maxChildPages.value, 10);
+  const maxTokens = parseInt(elements.maxTokens.value, 10);
+  const chunkTokens = parseInt(elements.chunkTokens.value, 10);
+  const maxAttempts = parseInt(elements.maxAttempts.value, 10);
+  const historyLimit = parseInt(elements.historyLimit.value, 10);
+
+  if (Number.isNaN(databaseRowLimit) || databaseRowLimit < 0) {
+    showStatus('Database row limit must be 0 or more', 'error', elements.settingsStatus);
+    return;
+  }
+
+  if (Number.isNaN(childPageDepth) || childPageDepth < 0) {
+    showStatus('Child page depth must be 0 or more', 'error', elements.settingsStatus);
+    return;
+  }
+
+  if (Number.isNaN(maxChildPages) || maxChildPages < 1) {
+    showStatus('Maximum child pages must be at least 1', 'error', elements.settingsStatus);
+    return;
+  }
+
+  if (Number.isNaN(maxTokens) || maxTokens < 0) {
+    showStatus('Maximum tokens must be 0 or more', 'error', elements.settingsStatus);
+    return;
+  }
+
+  if (Number.isNaN(chunkTokens) || chunkTokens < 0) {
+    showStatus('Chunk size must be 0 or more', 'error', elements.settingsStatus);
+    return;
+  }
+
+  if (Number.isNaN(maxAttempts) || maxAttempts < 1) {
+    showStatus('Request attempts must be at least 1', 'error', elements.settingsStatus);
+    return;
+  }
+
+  if (Number.isNaN(historyLimit) || historyLimit < 0) {
+    showStatus('History size must be 0 or more', 'error', elements.settingsStatus);
+    return;
+  }
+
+  elements.btnSaveSettings.disabled = true;
+
+  try {
+    const result = await sendMessage('saveSettings', {
+      settings: {
+        richTextStyle: elements.richTextStyle.value,
+        resolveMentions: elements.resolveMentions.checked,
+        databaseRowLimit,
+        childPageDepth,
+        maxChildPages,
+        followPageLinks: elements.followPageLinks.checked,
+        includeComments: elements.includeComments.checked,
+        blockComments: elements.blockComments.checked,
+        tokenizer: elements.tokenizer.value,
+        maxTokens,
+        chunkTokens,
+        maxAttempts,
+        historyLimit
+      }
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Unknown error');
+    }
+    showStatus('Settings saved!', 'success', elements.settingsStatus);
+  } catch (error) {
+    showStatus(`Error saving settings: ${error.message}`, 'error', elements.settingsStatus);
+  } finally {
+    elements.btnSaveSettings.disabled = false;
+  }
+}
+
+/**
+ * Load extraction profiles
+ */
+async function loadProfiles(selectedId = null) {
+  const result = await sendMessage('getProfiles');
+  if (!result.success) return;
+
+  profiles = result.profiles;
+  renderProfileSelect(selectedId || result.activeProfileId);
+}
+
+/**
+ * Fill the profile picker and show the selected profile
+ */
+function renderProfileSelect(selectedId) {
+  elements.profileSelect.innerHTML = '';
+  for (const profile of profiles) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    elements.profileSelect.appendChild(option);
+  }
+
+  const selected = profiles.find(p => p.id === selectedId) || profiles[0];
+  elements.profileSelect.value = selected.id;
+  fillProfileForm(selected);
+}
+
+/**
+ * Show a profile in the form
+ */
+function fillProfileForm(profile) {
+  elements.profileName.value = profile.name;
+  elements.profileIncludeProperties.value = profile.includeProperties.join(', ');
+  elements.profileExcludeProperties.value = profile.excludeProperties.join(', ');
+  elements.profileExcludePropertyTypes.value = profile.excludePropertyTypes.join(', ');
+  elements.profileExcludeBlockTypes.value = profile.excludeBlockTypes.join(', ');
+  elements.profileMediaUrls.checked = profile.mediaUrls;
+  elements.profileIncludeMeta.checked = profile.includeMeta;
+  elements.btnDeleteProfile.disabled = profile.id === DEFAULT_PROFILE_ID;
+}
+
+/**
+ * Read the form into a profile (lists are split by the service worker)
+ */
+function readProfileForm(id) {
+  return {
+    id,
+    name: elements.profileName.value.trim(),
+    includeProperties: elements.profileIncludeProperties.value,
+    excludeProperties: elements.profileExcludeProperties.value,
+    excludePropertyTypes: elements.profileExcludePropertyTypes.value,
+    excludeBlockTypes: elements.profileExcludeBlockTypes.value,
+    mediaUrls: elements.profileMediaUrls.checked,
+    includeMeta: elements.profileIncludeMeta.checked
+  };
+}
+
+/**
+ * Store profiles and show the given one
+ */
+async function storeProfiles(updated, selectedId, message) {
+  const result = await sendMessage('saveProfiles', { profiles: updated });
+  if (!result.success) {
+    throw new Error(result.error || 'Unknown error');
+  }
+  await loadProfiles(selectedId);
+  showStatus(message, 'success', elements.profileStatus);
+}
+
+/**
+ * Save the profile shown in the form
+ */
+async function saveProfile() {
+  const profile = readProfileForm(elements.profileSelect.value);
+
+  if (!profile.name) {
+    showStatus('Please enter a profile name', 'error', elements.profileStatus);
+    return;
+  }
+
+  elements.btnSaveProfile.disabled = true;
+
+  try {
+    const updated = profiles.map(p => (p.id === profile.id ? profile : p));
+    await storeProfiles(updated, profile.id, 'Profile saved!');
+  } catch (error) {
+    showStatus(`Error saving profile: ${error.message}`, 'error', elements.profileStatus);
+  } finally {
+    elements.btnSaveProfile.disabled = false;
+  }
+}
+
+/**
+ * Create a profile from the form, under a new name
+ */
+async function newProfile() {
+  const profile = {
+    ...readProfileForm(crypto.randomUUID()),
+    name: `Profile ${profiles.length + 1}`
+  };
+
+  try {
+    await storeProfiles([...profiles, profile], profile.id, 'Profile created from the current settings. Rename it and save.');
+  } catch (error) {
+    showStatus(`Error creating profile: ${error.message}`, 'error', elements.profileStatus);
+  }
+}
+
+/**
+ * Delete the selected profile
+ */
+async function deleteProfile() {
+  const id = elements.profileSelect.value;
+  if (id === DEFAULT_PROFILE_ID) return;
+
+  try {
+    await storeProfiles(profiles.filter(p => p.id !== id), DEFAULT_PROFILE_ID, 'Profile deleted');
+  } catch (error) {
+    showStatus(`Error deleting profile: ${error.message}`, 'error', elements.profileStatus);
+  }
+}
+
 // Event Listeners
-elements.btnSave.addEventListener('click', saveApiKey);
+elements.btnSave.addEventListener('click', saveIntegration);
 elements.btnTest.addEventListener('click', testConnection);
+elements.btnNewIntegration.addEventListener('click', newIntegration);
+elements.btnDeleteIntegration.addEventListener('click', deleteIntegration);
+elements.btnSignIn.addEventListener('click', signIn);
+elements.btnSetPassphrase.addEventListener('click', setPassphrase);
+elements.btnUnlock.addEventListener('click', unlockTokens);
+elements.btnLock.addEventListener('click', lockTokens);
+elements.btnRemovePassphrase.addEventListener('click', removePassphrase);
+elements.vaultUnlockPassphrase.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    unlockTokens();
+  }
+});
+elements.integrationSelect.addEventListener('change', () => {
+  fillIntegrationForm(integrations.find(i => i.id === elements.integrationSelect.value));
+  hideStatus();
+});
+elements.btnSaveSettings.addEventListener('click', saveSettings);
+elements.includeComments.addEventListener('change', updateCommentOptions);
+elements.btnSaveProfile.addEventListener('click', saveProfile);
+elements.btnNewProfile.addEventListener('click', newProfile);
+elements.btnDeleteProfile.addEventListener('click', deleteProfile);
+elements.profileSelect.addEventListener('change', () => {
+  fillProfileForm(profiles.find(p => p.id === elements.profileSelect.value));
+});
 
 // Allow Enter key to save
 elements.apiKey.addEventListener('keypress', (e) => {
   if (e.key === 'Enter') {
-    saveApiKey();
+    saveIntegration();
   }
 });
 
-// Load saved key on page load
-loadApiKey();
+// Load saved integrations, settings and profiles on page load
+elements.oauthRedirectUri.textContent = chrome.identity.getRedirectURL();
+loadIntegrations();
+loadSettings();
+loadProfiles();
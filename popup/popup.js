@@ -5,8 +5,11 @@
 // DOM Elements
 const states = {
   notConfigured: document.getElementById('state-not-configured'),
+  locked: document.getElementById('state-locked'),
   notNotion: document.getElementById('state-not-notion'),
   ready: document.getElementById('state-ready'),
+  batch: document.getElementById('state-batch'),
+  history: document.getElementById('state-history'),
   loading: document.getElementById('state-loading'),
   result: document.getElementById('state-result'),
   error: document.getElementById('state-error')
@@ -14,27 +17,95 @@ const states = {
 
 const elements = {
   pageId: document.getElementById('page-id'),
+  pageIdLabel: document.getElementById('page-id-label'),
   resultTitle: document.getElementById('result-title'),
   resultPreview: document.getElementById('result-preview'),
+  resultTokens: document.getElementById('result-tokens'),
+  resultStats: document.getElementById('result-stats'),
+  resultReport: document.getElementById('result-report'),
+  resultChanges: document.getElementById('result-changes'),
+  changesSummary: document.getElementById('changes-summary'),
+  changesList: document.getElementById('changes-list'),
+  loadingMessage: document.getElementById('loading-message'),
   errorMessage: document.getElementById('error-message'),
-  copyFeedback: document.getElementById('copy-feedback'),
+  formatSelect: document.getElementById('format-select'),
+  profileSelect: document.getElementById('profile-select'),
+  integrationSelect: document.getElementById('integration-select'),
+  integrationRows: document.querySelectorAll('.integration-row'),
+  sectionRow: document.getElementById('section-row'),
+  sectionSelect: document.getElementById('section-select'),
+  batchTabCount: document.getElementById('batch-tab-count'),
+  batchUrls: document.getElementById('batch-urls'),
+  batchFormatSelect: document.getElementById('batch-format-select'),
+  batchProfileSelect: document.getElementById('batch-profile-select'),
+  batchIntegrationSelect: document.getElementById('batch-integration-select'),
+  unlockPassphrase: document.getElementById('unlock-passphrase'),
+  unlockError: document.getElementById('unlock-error'),
+  historySearch: document.getElementById('history-search'),
+  historyList: document.getElementById('history-list'),
+  historyEmpty: document.getElementById('history-empty'),
+  chunkNav: document.getElementById('chunk-nav'),
+  chunkLabel: document.getElementById('chunk-label'),
+  feedback: document.getElementById('feedback'),
   btnOpenOptions: document.getElementById('btn-open-options'),
   btnExtract: document.getElementById('btn-extract'),
+  btnUnlock: document.getElementById('btn-unlock'),
+  btnLoadHeadings: document.getElementById('btn-load-headings'),
   btnCopy: document.getElementById('btn-copy'),
+  btnCopyChanges: document.getElementById('btn-copy-changes'),
+  btnChunkPrev: document.getElementById('btn-chunk-prev'),
+  btnChunkNext: document.getElementById('btn-chunk-next'),
+  btnDownloadChunks: document.getElementById('btn-download-chunks'),
+  btnDownload: document.getElementById('btn-download'),
+  btnDownloadBundle: document.getElementById('btn-download-bundle'),
+  btnOpenBatch: document.querySelectorAll('.btn-open-batch'),
+  btnExtractBatch: document.getElementById('btn-extract-batch'),
+  btnBatchBack: document.getElementById('btn-batch-back'),
+  btnHistoryBack: document.getElementById('btn-history-back'),
   btnExtractAgain: document.getElementById('btn-extract-again'),
   btnRetry: document.getElementById('btn-retry'),
+  linkHistory: document.getElementById('link-history'),
   linkOptions: document.getElementById('link-options')
 };
 
 // State
 let currentUrl = null;
 let currentPageId = null;
-let currentToon = null;
+let currentBlockId = null;
+let currentOutput = null;
+let currentResult = null;
+let currentChunk = 0;
+let currentState = null;
+
+// State the batch and history views go back to
+let returnState = null;
+let historySearchTimer = null;
+
+// Extraction repeated by "Extract Again" and "Retry"
+let lastExtraction = null;
+
+// Button labels per output format
+const FORMAT_LABELS = {
+  toon: 'TOON',
+  markdown: 'Markdown',
+  json: 'JSON'
+};
+
+// Section picker values besides heading block IDs
+const SECTION_WHOLE_PAGE = '';
+const SECTION_ANCHOR = 'anchor';
+
+// Views opened on top of the current state
+const OVERLAY_STATES = ['batch', 'history'];
+
+// Delay before searching the history while typing
+const HISTORY_SEARCH_DELAY_MS = 200;
 
 /**
  * Show a specific state, hide others
  */
 function showState(stateName) {
+  currentState = stateName;
   Object.entries(states).forEach(([name, el]) => {
     if (name === stateName) {
       el.classList.remove('hidden');
@@ -61,14 +132,24 @@ async function init() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   currentUrl = tab?.url || '';
 
-  // Check if API key is configured
-  const apiKeyResult = await sendMessage('getApiKey');
+  // Check if an integration is configured
+  const integrationsResult = await sendMessage('getIntegrations');
 
-  if (!apiKeyResult.apiKey) {
+  if (!integrationsResult.integrations?.length) {
     showState('notConfigured');
     return;
   }
 
+  if (integrationsResult.locked) {
+    showState('locked');
+    elements.unlockPassphrase.focus();
+    return;
+  }
+
+  // Profiles and integrations are needed by batch extraction too, even off Notion
+  await loadProfiles();
+  loadIntegrations(integrationsResult.integrations);
+
   // Check if current URL is a Notion page
   const pageIdResult = await sendMessage('checkPageId', { url: currentUrl });
 
@@ -78,27 +159,182 @@ async function init() {
   }
 
   currentPageId = pageIdResult.pageId;
+  currentBlockId = pageIdResult.blockId;
   elements.pageId.textContent = currentPageId;
+  elements.pageIdLabel.textContent = pageIdResult.objectType === 'database' ? 'Database ID:' : 'Page ID:';
+  elements.sectionRow.classList.toggle('hidden', pageIdResult.objectType === 'database');
+  resetSections();
   showState('ready');
 }
 
+/**
+ * Fill the profile pickers, selecting the last used profile
+ */
+async function loadProfiles() {
+  const result = await sendMessage('getProfiles');
+  if (!result.success) return;
+
+  for (const select of [elements.profileSelect, elements.batchProfileSelect]) {
+    select.innerHTML = '';
+    for (const profile of result.profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    }
+    select.value = result.activeProfileId;
+  }
+}
+
+/**
+ * Unlock the API keys with the passphrase, then start over
+ */
+async function unlock() {
+  elements.btnUnlock.disabled = true;
+
+  try {
+    const result = await sendMessage('unlockTokens', { passphrase: elements.unlockPassphrase.value });
+    if (!result.success) {
+      throw new Error(result.error || 'Could not unlock');
+    }
+
+    elements.unlockPassphrase.value = '';
+    elements.unlockError.classList.add('hidden');
+    await init();
+  } catch (error) {
+    elements.unlockError.textContent = error.message;
+    elements.unlockError.classList.remove('hidden');
+    elements.unlockPassphrase.select();
+  } finally {
+    elements.btnUnlock.disabled = false;
+  }
+}
+
+/**
+ * Fill the integration pickers, offered only when there is a choice
+ */
+function loadIntegrations(integrations) {
+  for (const select of [elements.integrationSelect, elements.batchIntegrationSelect]) {
+    select.innerHTML = '';
+    for (const integration of [{ id: '', name: 'Auto (by workspace)' }, ...integrations]) {
+      const option = document.createElement('option');
+      option.value = integration.id;
+      option.textContent = integration.name;
+      select.appendChild(option);
+    }
+  }
+  elements.integrationRows.forEach(row => row.classList.toggle('hidden', integrations.length < 2));
+}
+
+/**
+ * Keep both integration pickers on the same choice
+ */
+function selectIntegration(event) {
+  elements.integrationSelect.value = event.target.value;
+  elements.batchIntegrationSelect.value = event.target.value;
+}
+
+/**
+ * Reset the section picker: whole page, or the block the URL links to
+ */
+function resetSections() {
+  elements.sectionSelect.innerHTML = '';
+  if (currentBlockId) {
+    addSectionOption(SECTION_ANCHOR, 'Linked block');
+  }
+  addSectionOption(SECTION_WHOLE_PAGE, 'Whole page');
+}
+
+/**
+ * Add an option to the section picker
+ */
+function addSectionOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  elements.sectionSelect.appendChild(option);
+}
+
+/**
+ * List the page's top-level headings in the section picker
+ */
+async function loadHeadings() {
+  elements.btnLoadHeadings.disabled = true;
+  elements.btnLoadHeadings.textContent = 'Loading…';
+
+  try {
+    const result = await sendMessage('listHeadings', {
+      url: currentUrl,
+      integrationId: elements.integrationSelect.value || null
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Could not list headings');
+    }
+
+    const selected = elements.sectionSelect.value;
+    resetSections();
+    for (const heading of result.headings) {
+      // Indent sub-headings so the outline reads at a glance
+      addSectionOption(heading.id, `${'\u00a0\u00a0'.repeat(heading.level - 1)}${heading.text}`);
+    }
+    elements.sectionSelect.value = selected;
+    elements.btnLoadHeadings.textContent = result.headings.length > 0 ? 'Headings' : 'No headings';
+  } catch (error) {
+    // Keep the ready state usable: the whole page can still be extracted
+    elements.btnLoadHeadings.textContent = 'Retry';
+    elements.btnLoadHeadings.title = error.message;
+  } finally {
+    elements.btnLoadHeadings.disabled = false;
+  }
+}
+
+/**
+ * Get the URL and block to extract for the picked section
+ */
+function getExtractTarget() {
+  const section = elements.sectionSelect.value;
+
+  if (section === SECTION_ANCHOR) {
+    return { url: currentUrl, blockId: currentBlockId };
+  }
+  if (section === SECTION_WHOLE_PAGE) {
+    // Drop the #block anchor so the whole page is extracted
+    return { url: currentUrl.split('#')[0], blockId: null };
+  }
+  return { url: currentUrl, blockId: section };
+}
+
+/**
+ * Remember the picked profile for the next extractions
+ */
+async function selectProfile(event) {
+  const profileId = event.target.value;
+  elements.profileSelect.value = profileId;
+  elements.batchProfileSelect.value = profileId;
+  await sendMessage('setActiveProfile', { profileId });
+}
+
 /**
  * Extract page content
  */
 async function extractPage() {
+  lastExtraction = extractPage;
+  elements.loadingMessage.textContent = 'Extracting page content...';
   showState('loading');
 
   try {
-    const result = await sendMessage('extract', { url: currentUrl });
+    const result = await sendMessage('extract', {
+      ...getExtractTarget(),
+      format: elements.formatSelect.value,
+      profileId: elements.profileSelect.value,
+      integrationId: elements.integrationSelect.value || null
+    });
 
     if (!result.success) {
       throw new Error(result.error || 'Extraction failed');
     }
 
-    currentToon = result.data.toon;
-    elements.resultTitle.textContent = result.data.title;
-    elements.resultPreview.textContent = currentToon;
-    showState('result');
+    showResult(result.data);
 
   } catch (error) {
     elements.errorMessage.textContent = error.message;
@@ -107,34 +343,446 @@ async function extractPage() {
 }
 
 /**
- * Copy TOON to clipboard
+ * Open the batch form, counting the open Notion tabs
  */
-async function copyToClipboard() {
-  if (!currentToon) return;
+async function openBatch() {
+  rememberReturnState();
+  elements.batchFormatSelect.value = elements.formatSelect.value;
+
+  const result = await sendMessage('listNotionTabs');
+  const count = result.success ? result.tabs.length : 0;
+  elements.batchTabCount.textContent = count;
+
+  // Nothing to take from tabs: start on the URL list instead
+  if (count === 0) {
+    document.querySelector('input[name="batch-source"][value="list"]').checked = true;
+  }
+  updateBatchSource();
+  showState('batch');
+}
+
+/**
+ * Remember the state to go back to when leaving the batch or history view
+ */
+function rememberReturnState() {
+  if (!OVERLAY_STATES.includes(currentState)) {
+    returnState = currentState;
+  }
+}
+
+/**
+ * Show the URL list only when it is the selected source
+ */
+function updateBatchSource() {
+  elements.batchUrls.classList.toggle('hidden', getBatchSource() !== 'list');
+}
+
+/**
+ * Get the selected batch source: 'tabs' or 'list'
+ */
+function getBatchSource() {
+  return document.querySelector('input[name="batch-source"]:checked').value;
+}
+
+/**
+ * Extract every open Notion tab, or every URL of the list, into one document
+ */
+async function extractBatch() {
+  lastExtraction = extractBatch;
+  const source = getBatchSource();
+  const urls = elements.batchUrls.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+  elements.loadingMessage.textContent = 'Extracting pages...';
+  showState('loading');
 
   try {
-    await navigator.clipboard.writeText(currentToon);
+    if (source === 'list' && urls.length === 0) {
+      throw new Error('Paste at least one Notion URL or page ID');
+    }
+
+    const result = await sendMessage('extractBatch', {
+      source,
+      urls,
+      format: elements.batchFormatSelect.value,
+      profileId: elements.batchProfileSelect.value,
+      integrationId: elements.batchIntegrationSelect.value || null
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Extraction failed');
+    }
 
-    // Show feedback
-    elements.copyFeedback.classList.remove('hidden');
-    setTimeout(() => {
-      elements.copyFeedback.classList.add('hidden');
-    }, 2000);
+    showResult(result.data);
 
+  } catch (error) {
+    elements.errorMessage.textContent = error.message;
+    showState('error');
+  }
+}
+
+/**
+ * Show an extraction result (single page or batch)
+ */
+function showResult(data) {
+  currentResult = data;
+  elements.resultTitle.textContent = data.title;
+  showChunk(0);
+  renderReport(data.report);
+  renderChanges(data.changes);
+  elements.resultTokens.textContent = formatTokens(data.tokens, data.format);
+  elements.resultStats.textContent = formatStats(data.stats, data.integration);
+  showState('result');
+}
+
+/**
+ * List the pages of a batch, with the reason each failed one was skipped
+ */
+function renderReport(report) {
+  elements.resultReport.innerHTML = '';
+  elements.resultReport.classList.toggle('hidden', !report);
+  if (!report) return;
+
+  for (const entry of report) {
+    const item = document.createElement('li');
+    item.textContent = entry.success
+      ? `✓ ${entry.title}${entry.integration ? ` · ${entry.integration}` : ''}`
+      : `✗ ${entry.input}: ${entry.error}`;
+    item.title = entry.input;
+    item.classList.toggle('failed', !entry.success);
+    elements.resultReport.appendChild(item);
+  }
+}
+
+/**
+ * Show what changed since the page's last extraction
+ */
+function renderChanges(changes) {
+  elements.changesList.innerHTML = '';
+  elements.resultChanges.classList.toggle('hidden', !changes);
+  if (!changes) return;
+
+  const since = new Date(changes.since).toLocaleString();
+  if (!changes.changed) {
+    elements.changesSummary.textContent = `No changes since ${since}`;
+    elements.btnCopyChanges.classList.add('hidden');
+    return;
+  }
+
+  const counts = [
+    [changes.added.length, 'added'],
+    [changes.removed.length, 'removed'],
+    [changes.modified.length, 'modified'],
+    [changes.properties.length, changes.properties.length === 1 ? 'property' : 'properties']
+  ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+  elements.changesSummary.textContent = `Changed since ${since}: ${counts.join(' · ')}`;
+  elements.btnCopyChanges.classList.remove('hidden');
+
+  const lines = [
+    ...changes.properties.map(change => ['modified', `${change.name}: ${formatValue(change.before)} → ${formatValue(change.after)}`]),
+    ...changes.added.map(block => ['added', `+ [${block.type}] ${block.text}`]),
+    ...changes.removed.map(block => ['removed', `− [${block.type}] ${block.text}`]),
+    ...changes.modified.map(block => ['modified', `~ [${block.type}] ${block.before} → ${block.after}`])
+  ];
+  for (const [kind, text] of lines) {
+    const item = document.createElement('li');
+    item.className = kind;
+    item.textContent = text;
+    elements.changesList.appendChild(item);
+  }
+}
+
+/**
+ * Format a property value for the change list
+ */
+function formatValue(value) {
+  if (value === null || value === '') return '∅';
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Copy the changes since the last extraction as a TOON section
+ */
+async function copyChanges() {
+  const changes = currentResult?.changes;
+  if (!changes) return;
+
+  await writeClipboard(changes.toon);
+  elements.btnCopyChanges.textContent = 'Copied!';
+  setTimeout(() => { elements.btnCopyChanges.textContent = 'Copy changes as TOON'; }, 2000);
+}
+
+/**
+ * Open the history of past extractions
+ */
+function openHistory() {
+  rememberReturnState();
+  showState('history');
+  loadHistory();
+}
+
+/**
+ * List past extractions matching the search box, newest first
+ */
+async function loadHistory() {
+  const result = await sendMessage('listHistory', { query: elements.historySearch.value });
+  const entries = result.success ? result.entries : [];
+
+  elements.historyList.innerHTML = '';
+  for (const entry of entries) {
+    elements.historyList.appendChild(createHistoryItem(entry));
+  }
+
+  elements.historyEmpty.textContent = result.success ? 'No extractions found' : result.error;
+  elements.historyEmpty.classList.toggle('hidden', entries.length > 0);
+}
+
+/**
+ * Search the history once typing pauses
+ */
+function searchHistory() {
+  clearTimeout(historySearchTimer);
+  historySearchTimer = setTimeout(loadHistory, HISTORY_SEARCH_DELAY_MS);
+}
+
+/**
+ * Build a history row: title, format and date, with copy/download/delete buttons
+ */
+function createHistoryItem(entry) {
+  const item = document.createElement('li');
+
+  const info = document.createElement('div');
+  info.className = 'entry-info';
+  const title = document.createElement('div');
+  title.className = 'entry-title';
+  title.textContent = entry.title;
+  title.title = entry.title;
+  const meta = document.createElement('div');
+  meta.className = 'entry-meta';
+  meta.textContent = [
+    FORMAT_LABELS[entry.format] || entry.format,
+    new Date(entry.createdAt).toLocaleString(),
+    entry.tokens ? `≈ ${entry.tokens.tokens.toLocaleString()} tokens` : null
+  ].filter(Boolean).join(' · ');
+  info.append(title, meta);
+
+  const copy = createSmallButton('Copy', 'Copy to clipboard', async () => {
+    const fetched = await getHistoryEntry(entry.id);
+    if (!fetched) return;
+    await writeClipboard(fetched.output);
+    copy.textContent = 'Copied!';
+    setTimeout(() => { copy.textContent = 'Copy'; }, 2000);
+  });
+  const download = createSmallButton('↓', 'Download', async () => {
+    const fetched = await getHistoryEntry(entry.id);
+    if (!fetched) return;
+    await sendMessage('download', { extraction: fetched });
+  });
+  const remove = createSmallButton('✕', 'Delete from history', async () => {
+    await sendMessage('deleteHistoryEntry', { id: entry.id });
+    loadHistory();
+  });
+
+  item.append(info, copy, download, remove);
+  return item;
+}
+
+/**
+ * Create a small secondary button
+ */
+function createSmallButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn btn-small btn-secondary';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Fetch a full history entry, refreshing the list if it is gone
+ */
+async function getHistoryEntry(id) {
+  const result = await sendMessage('getHistoryEntry', { id });
+  if (!result.success) {
+    loadHistory();
+    return null;
+  }
+  return result.entry;
+}
+
+/**
+ * Show one chunk of a chunked result (or the whole output)
+ */
+function showChunk(index) {
+  const chunks = currentResult.chunks;
+  currentChunk = index;
+  currentOutput = chunks ? chunks[index] : currentResult.output;
+  elements.resultPreview.textContent = currentOutput;
+
+  elements.chunkNav.classList.toggle('hidden', !chunks);
+  if (chunks) {
+    elements.chunkLabel.textContent = `Chunk ${index + 1}/${chunks.length}`;
+    elements.btnChunkPrev.disabled = index === 0;
+    elements.btnChunkNext.disabled = index === chunks.length - 1;
+    elements.btnCopy.textContent = `Copy ${index + 1}/${chunks.length}`;
+  } else {
+    elements.btnCopy.textContent = 'Copy';
+  }
+}
+
+/**
+ * Download every chunk as its own file, e.g. "my-page-2f26ee68-2-of-5.toon"
+ */
+async function downloadChunks() {
+  const chunks = currentResult?.chunks;
+  if (!chunks) return;
+
+  for (const [i, chunk] of chunks.entries()) {
+    await sendMessage('download', {
+      extraction: { ...describeExtraction(), output: chunk },
+      suffix: `-${i + 1}-of-${chunks.length}`
+    });
+  }
+}
+
+/**
+ * Download the whole output as a .toon, .md or .json file
+ */
+async function downloadOutput() {
+  if (!currentResult) return;
+
+  const result = await sendMessage('download', { extraction: describeExtraction() });
+  showFeedback(result.success ? 'Download started' : result.error);
+}
+
+/**
+ * Download a zip with the output, the files it links to and a manifest
+ */
+async function downloadBundle() {
+  if (!currentResult) return;
+
+  // Ask for the file hosts first: permissions can only be requested from the click itself
+  const origins = [...new Set(currentResult.files.map(file => toOriginPattern(file.url)).filter(Boolean))];
+  const granted = origins.length === 0 || await chrome.permissions.request({ origins }).catch(() => false);
+
+  elements.btnDownloadBundle.disabled = true;
+  elements.btnDownloadBundle.textContent = 'Bundling…';
+
+  try {
+    // Without access to the hosts, the bundle still has the text and a manifest of the files
+    const extraction = { ...describeExtraction(), files: granted ? currentResult.files : [] };
+    const result = await sendMessage('downloadBundle', { extraction });
+    if (!result.success) {
+      throw new Error(result.error || 'Bundle failed');
+    }
+
+    const parts = [`Bundle saved with ${result.fetched} file${result.fetched === 1 ? '' : 's'}`];
+    if (result.failed > 0) parts.push(`${result.failed} failed (see manifest.json)`);
+    if (!granted) parts.push('files skipped: access to their hosts was declined');
+    showFeedback(parts.join(' · '));
+  } catch (error) {
+    showFeedback(error.message);
+  } finally {
+    elements.btnDownloadBundle.disabled = false;
+    elements.btnDownloadBundle.textContent = 'Bundle (.zip)';
+  }
+}
+
+/**
+ * Fields the service worker needs to name and write a download
+ */
+function describeExtraction() {
+  const { title, pageId, format, output } = currentResult;
+  return { title, pageId, format, output };
+}
+
+/**
+ * Turn a URL into a host permission pattern, e.g. "https://example.com/*"
+ */
+function toOriginPattern(url) {
+  try {
+    const { protocol, host } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:' ? `${protocol}//${host}/*` : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Format extraction statistics, e.g. "42 requests · 3.2s · via Client workspace"
+ */
+function formatStats(stats, integration = null) {
+  if (!stats) return '';
+  const plural = stats.requests === 1 ? '' : 's';
+  const via = integration ? ` · via ${integration}` : '';
+  return `${stats.requests} request${plural} · ${(stats.elapsedMs / 1000).toFixed(1)}s${via}`;
+}
+
+/**
+ * Format the token estimate, e.g. "≈ 1,204 tokens · 46% fewer than JSON (2,231)"
+ */
+function formatTokens(tokens, format) {
+  if (!tokens) return '';
+  const parts = [`≈ ${tokens.tokens.toLocaleString()} tokens`];
+
+  if (format !== 'json') {
+    const json = tokens.jsonTokens.toLocaleString();
+    parts.push(tokens.savings >= 0
+      ? `${tokens.savings}% fewer than JSON (${json})`
+      : `${-tokens.savings}% more than JSON (${json})`);
+  }
+
+  if (tokens.elided.length > 0) {
+    parts.push(`trimmed to ${tokens.maxTokens.toLocaleString()}`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Update the extract button label for the selected format
+ */
+function updateExtractLabel() {
+  const label = FORMAT_LABELS[elements.formatSelect.value] || 'TOON';
+  elements.btnExtract.textContent = `Extract to ${label}`;
+}
+
+/**
+ * Copy extracted output to clipboard
+ */
+async function copyToClipboard() {
+  if (!currentOutput) return;
+
+  await writeClipboard(currentOutput);
+  showFeedback('Copied to clipboard!');
+}
+
+/**
+ * Show a short message under the result
+ */
+function showFeedback(message) {
+  elements.feedback.textContent = message;
+  elements.feedback.classList.remove('hidden');
+  setTimeout(() => {
+    elements.feedback.classList.add('hidden');
+  }, 2000);
+}
+
+/**
+ * Write a text to the clipboard
+ */
+async function writeClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
   } catch (error) {
     console.error('Failed to copy:', error);
     // Fallback for older browsers
     const textarea = document.createElement('textarea');
-    textarea.value = currentToon;
+    textarea.value = text;
     document.body.appendChild(textarea);
     textarea.select();
     document.execCommand('copy');
     document.body.removeChild(textarea);
-
-    elements.copyFeedback.classList.remove('hidden');
-    setTimeout(() => {
-      elements.copyFeedback.classList.add('hidden');
-    }, 2000);
   }
 }
 
@@ -148,9 +796,39 @@ function openOptions() {
 // Event Listeners
 elements.btnOpenOptions.addEventListener('click', openOptions);
 elements.btnExtract.addEventListener('click', extractPage);
+elements.btnUnlock.addEventListener('click', unlock);
+elements.unlockPassphrase.addEventListener('keypress', (e) => {
+  if (e.key === 'Enter') {
+    unlock();
+  }
+});
+elements.formatSelect.addEventListener('change', updateExtractLabel);
+elements.profileSelect.addEventListener('change', selectProfile);
+elements.batchProfileSelect.addEventListener('change', selectProfile);
+elements.integrationSelect.addEventListener('change', selectIntegration);
+elements.batchIntegrationSelect.addEventListener('change', selectIntegration);
+elements.btnOpenBatch.forEach(button => button.addEventListener('click', openBatch));
+document.querySelectorAll('input[name="batch-source"]').forEach(input => {
+  input.addEventListener('change', updateBatchSource);
+});
+elements.btnExtractBatch.addEventListener('click', extractBatch);
+elements.btnBatchBack.addEventListener('click', () => showState(returnState));
+elements.historySearch.addEventListener('input', searchHistory);
+elements.btnHistoryBack.addEventListener('click', () => showState(returnState));
+elements.btnLoadHeadings.addEventListener('click', loadHeadings);
 elements.btnCopy.addEventListener('click', copyToClipboard);
-elements.btnExtractAgain.addEventListener('click', extractPage);
-elements.btnRetry.addEventListener('click', extractPage);
+elements.btnCopyChanges.addEventListener('click', copyChanges);
+elements.btnChunkPrev.addEventListener('click', () => showChunk(currentChunk - 1));
+elements.btnChunkNext.addEventListener('click', () => showChunk(currentChunk + 1));
+elements.btnDownloadChunks.addEventListener('click', downloadChunks);
+elements.btnDownload.addEventListener('click', downloadOutput);
+elements.btnDownloadBundle.addEventListener('click', downloadBundle);
+elements.btnExtractAgain.addEventListener('click', () => lastExtraction());
+elements.btnRetry.addEventListener('click', () => lastExtraction());
+elements.linkHistory.addEventListener('click', (e) => {
+  e.preventDefault();
+  openHistory();
+});
 elements.linkOptions.addEventListener('click', (e) => {
   e.preventDefault();
   openOptions();